@@ -0,0 +1,44 @@
+// config/mailer.js
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// MAIL_TRANSPORT picks where mail goes:
+//   smtp   - real delivery (the default when SMTP_HOST is set)
+//   file   - each message written as an .eml file under MAIL_DIR
+//   memory - kept in an in-process outbox (services/mailService.js)
+//   json   - rendered to JSON and logged (the default otherwise)
+// so local development never needs a mail server.
+const mode = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+
+function createTransport() {
+  switch (mode) {
+    case 'smtp':
+      return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    case 'file':
+      return nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    case 'memory':
+    case 'json':
+      return nodemailer.createTransport({ jsonTransport: true });
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${mode}" (use smtp, file, memory or json)`);
+  }
+}
+
+const transporter = createTransport();
+
+const from = process.env.MAIL_FROM || 'Summit Soles <no-reply@summitsoles.local>';
+
+module.exports = {
+  transporter,
+  from,
+  mode,
+  fileDir: path.resolve(process.env.MAIL_DIR || 'mail'),
+  isConfigured: mode === 'smtp'
+};
@@ -0,0 +1,49 @@
+// config/marketplace.js
+// Marketplace-wide business settings, overridable per environment
+
+const num = (value, fallback) => {
+  const n = Number(value);
+  return value === undefined || value === '' || Number.isNaN(n) ? fallback : n;
+};
+
+module.exports = {
+  // Where Stripe-hosted flows (Connect onboarding etc.) send the user back to
+  clientUrl: process.env.CLIENT_URL || 'http://localhost:3000',
+
+  // Percentage of each sale kept by the marketplace (application fee)
+  feePercent: num(process.env.MARKETPLACE_FEE_PERCENT, 10),
+
+  // Days after delivery before a held payout is released without buyer confirmation
+  escrowReleaseDays: num(process.env.ESCROW_RELEASE_DAYS, 3),
+
+  // Hours a buyer has to pay after their offer is accepted before the listing is released
+  offerPaymentWindowHours: num(process.env.OFFER_PAYMENT_WINDOW_HOURS, 24),
+
+  // Offers and counters allowed in one negotiation (the opening offer is round 1)
+  offerMaxRounds: num(process.env.OFFER_MAX_ROUNDS, 5),
+
+  // Hours the other side has to respond before an offer or counter expires
+  offerRoundExpiryHours: num(process.env.OFFER_ROUND_EXPIRY_HOURS, 48),
+
+  // Hours before a round expires that the side who has to respond is reminded
+  offerReminderHours: num(process.env.OFFER_REMINDER_HOURS, 12),
+
+  // Listings one bundle offer can cover. An accepted bundle is paid in a single
+  // checkout, so anything above maxItemsPerSellerCheckout is ignored.
+  maxBundleListings: num(process.env.OFFER_MAX_BUNDLE_LISTINGS, 8),
+
+  // Items from one seller that can be paid for in a single cart checkout
+  // (item breakdown travels in PaymentIntent metadata, which caps value length)
+  maxItemsPerSellerCheckout: 8,
+
+  // Disputes a seller can lose before their account is suspended for review
+  disputeSuspendThreshold: num(process.env.DISPUTE_SUSPEND_THRESHOLD, 3),
+
+  // Share of each completed sale set aside for 1% for Climbing (percent)
+  contributionPercent: num(process.env.CONTRIBUTION_PERCENT, 1),
+
+  // Carrier adapter used for shipping rates, labels and tracking (services/carriers).
+  // The fake carrier is the default outside production only; production must set one.
+  shippingCarrier: process.env.SHIPPING_CARRIER ||
+    ((process.env.NODE_ENV || 'production') === 'production' ? null : 'fake'),
+};
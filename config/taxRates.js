@@ -0,0 +1,32 @@
+// config/taxRates.js
+// Local sales tax table used by services/taxService.js (no external tax service).
+// Keyed by US state code: `rate` is a percentage, `shipping` says whether the
+// shipping charge is taxable there. States not listed are not taxed.
+// TAX_RATES (JSON, same shape) overrides or adds entries per environment.
+
+const rates = {
+  AZ: { rate: 5.6, shipping: false },
+  CA: { rate: 7.25, shipping: false },
+  CO: { rate: 2.9, shipping: false },
+  ID: { rate: 6, shipping: false },
+  NM: { rate: 4.875, shipping: true },
+  NV: { rate: 6.85, shipping: false },
+  NY: { rate: 4, shipping: true },
+  OR: { rate: 0, shipping: false },
+  TN: { rate: 7, shipping: true },
+  TX: { rate: 6.25, shipping: true },
+  UT: { rate: 6.1, shipping: true },
+  WA: { rate: 6.5, shipping: true },
+  WY: { rate: 4, shipping: true },
+};
+
+function overrides() {
+  if (!process.env.TAX_RATES) return {};
+  try {
+    return JSON.parse(process.env.TAX_RATES);
+  } catch (err) {
+    throw new Error(`Invalid TAX_RATES env var: ${err.message}`);
+  }
+}
+
+module.exports = { ...rates, ...overrides() };
@@ -0,0 +1,109 @@
+// backend/middleware/idempotency.js
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+const TTL_MS = 24 * 60 * 60 * 1000;
+
+// JSON with object keys sorted, so the same body always hashes the same
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function hashRequest(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.baseUrl}${req.path}\n${stableStringify(req.body || {})}`)
+    .digest('hex');
+}
+
+/**
+ * Honour an optional Idempotency-Key header (use after auth).
+ * The first response for a key is stored for 24h and replayed on retries;
+ * reusing a key with a different request is a 409. Server errors are not
+ * stored, so the client can retry them with the same key. A retry while the
+ * first request is still running gets a 409 with Retry-After.
+ */
+async function idempotency(req, res, next) {
+  const key = req.get('Idempotency-Key');
+  if (!key) return next();
+
+  if (key.length > 255) {
+    return res.status(400).json({ error: 'Idempotency-Key must be at most 255 characters' });
+  }
+
+  try {
+    const requestHash = hashRequest(req);
+    let record = await IdempotencyKey.findOne({ user: req.user.id, key });
+
+    if (!record) {
+      try {
+        record = await IdempotencyKey.create({
+          key,
+          user: req.user.id,
+          method: req.method,
+          path: `${req.baseUrl}${req.path}`,
+          requestHash,
+          expiresAt: new Date(Date.now() + TTL_MS)
+        });
+      } catch (err) {
+        if (err.code !== 11000) throw err;
+        // A concurrent request with the same key got in first
+        res.set('Retry-After', '1');
+        return res.status(409).json({ error: 'A request with this Idempotency-Key is already in progress' });
+      }
+
+      let captured = false;
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        captured = true;
+        const stored = res.statusCode < 500
+          ? IdempotencyKey.updateOne(
+              { _id: record._id },
+              {
+                $set: {
+                  status: 'completed',
+                  responseStatus: res.statusCode,
+                  // plain JSON, exactly what the client received (no Mongoose documents)
+                  responseBody: JSON.parse(JSON.stringify(body))
+                }
+              }
+            )
+          : IdempotencyKey.deleteOne({ _id: record._id });
+        // Send only once the response is stored, so a quick retry replays it
+        // instead of finding the key still in progress
+        stored
+          .catch(err => console.error('Idempotency key save error:', err))
+          .then(() => json(body));
+        return res;
+      };
+      // Nothing JSON was sent (or the client went away): free the key for a retry
+      res.on('close', () => {
+        if (!captured) {
+          IdempotencyKey.deleteOne({ _id: record._id })
+            .catch(err => console.error('Idempotency key cleanup error:', err));
+        }
+      });
+      return next();
+    }
+
+    if (record.requestHash !== requestHash) {
+      return res.status(409).json({ error: 'This Idempotency-Key was already used with a different request' });
+    }
+    if (record.status !== 'completed') {
+      res.set('Retry-After', '1');
+      return res.status(409).json({ error: 'A request with this Idempotency-Key is already in progress' });
+    }
+
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(record.responseStatus).json(record.responseBody);
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    res.status(500).json({ error: 'Failed to process Idempotency-Key' });
+  }
+}
+
+module.exports = idempotency;
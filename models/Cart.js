@@ -0,0 +1,38 @@
+// backend/models/Cart.js
+
+const mongoose = require('mongoose');
+
+const cartSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  items: [{
+    listing: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true
+    },
+    addedAt: { type: Date, default: Date.now }
+  }]
+}, {
+  timestamps: true
+});
+
+// Get or create the user's cart
+cartSchema.statics.forUser = async function(userId) {
+  return this.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { user: userId, items: [] } },
+    { upsert: true, new: true }
+  );
+};
+
+// Check if a listing is already in the cart
+cartSchema.methods.hasListing = function(listingId) {
+  return this.items.some(item => item.listing.toString() === listingId.toString());
+};
+
+module.exports = mongoose.model('Cart', cartSchema);
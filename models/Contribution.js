@@ -0,0 +1,51 @@
+// backend/models/Contribution.js
+
+const mongoose = require('mongoose');
+
+// 1% for Climbing ledger: one entry per completed order. Entries are grouped
+// by `period` (YYYY-MM) when the marketplace remits to the nonprofit.
+const contributionSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true,
+    unique: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  orderNumber: String,
+
+  // Dollars; amount = baseAmount × percent / 100
+  baseAmount: { type: Number, required: true },
+  percent: { type: Number, required: true },
+  amount: { type: Number, required: true },
+
+  period: {
+    type: String,
+    required: true,
+    match: /^\d{4}-\d{2}$/
+  },
+
+  status: {
+    type: String,
+    enum: ['pending', 'remitted', 'reversed'],
+    default: 'pending'
+  },
+  remittedAt: Date,
+  reversedAt: Date
+}, {
+  timestamps: true
+});
+
+contributionSchema.index({ seller: 1, createdAt: -1 });
+contributionSchema.index({ period: 1, status: 1 });
+
+// 'YYYY-MM' (UTC) for a date
+contributionSchema.statics.periodFor = function(date = new Date()) {
+  return date.toISOString().slice(0, 7);
+};
+
+module.exports = mongoose.model('Contribution', contributionSchema);
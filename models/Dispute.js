@@ -0,0 +1,78 @@
+// backend/models/Dispute.js
+
+const mongoose = require('mongoose');
+
+// A disagreement about an order: either a card dispute (chargeback) reported
+// by Stripe, or an issue the buyer filed during the escrow window.
+// The thread is kept in the order's Conversation (Message.dispute).
+const disputeSchema = new mongoose.Schema({
+  order: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  conversation: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Conversation'
+  },
+
+  source: {
+    type: String,
+    enum: ['stripe', 'buyer'],
+    required: true
+  },
+  stripeDisputeId: String,
+  stripeStatus: String,
+  evidenceDueBy: Date,
+
+  reason: { type: String, required: true },
+  description: { type: String, maxLength: 2000 },
+  amount: Number, // dollars in dispute
+
+  // open: waiting on the seller, under_review: evidence in, resolved: decided
+  status: {
+    type: String,
+    enum: ['open', 'under_review', 'resolved'],
+    default: 'open'
+  },
+
+  evidence: [{
+    url: { type: String, required: true },
+    publicId: String,
+    note: { type: String, maxLength: 500 },
+    uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    uploadedAt: { type: Date, default: Date.now }
+  }],
+
+  // Who the dispute was decided for
+  decision: {
+    type: String,
+    enum: ['buyer', 'seller']
+  },
+  decisionNote: String,
+  decidedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // empty when Stripe decided
+  decidedAt: Date
+}, {
+  timestamps: true
+});
+
+disputeSchema.index({ order: 1 });
+disputeSchema.index({ stripeDisputeId: 1 }, { unique: true, sparse: true });
+disputeSchema.index({ status: 1, createdAt: 1 });
+disputeSchema.index({ seller: 1, decision: 1 });
+
+disputeSchema.methods.involves = function(userId) {
+  return String(this.buyer) === String(userId) || String(this.seller) === String(userId);
+};
+
+module.exports = mongoose.model('Dispute', disputeSchema);
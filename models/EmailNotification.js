@@ -0,0 +1,44 @@
+// backend/models/EmailNotification.js
+
+const mongoose = require('mongoose');
+
+// Offer emails waiting to go out: events for users on the hourly digest, and
+// instant emails held back by quiet hours. services/notificationService.js
+// sends everything due, one email (or digest) per user.
+const emailNotificationSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  event: {
+    type: String,
+    enum: ['created', 'countered', 'accepted', 'declined', 'expired'],
+    required: true
+  },
+  subject: { type: String, required: true },
+  text: { type: String, required: true },
+
+  status: {
+    type: String,
+    enum: ['pending', 'sent', 'skipped'],
+    default: 'pending'
+  },
+  sendAfter: {
+    type: Date,
+    required: true
+  },
+  sentAt: Date
+}, {
+  timestamps: true
+});
+
+emailNotificationSchema.index({ status: 1, sendAfter: 1 });
+// Sent and skipped entries are kept for 30 days
+emailNotificationSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('EmailNotification', emailNotificationSchema);
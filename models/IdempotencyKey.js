@@ -0,0 +1,43 @@
+// backend/models/IdempotencyKey.js
+
+const mongoose = require('mongoose');
+
+// First response to a request sent with an Idempotency-Key header, per user.
+// Retries with the same key get this response back (middleware/idempotency.js).
+const idempotencyKeySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    maxLength: 255
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  method: String,
+  path: String,
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['in_progress', 'completed'],
+    default: 'in_progress'
+  },
+  responseStatus: Number,
+  responseBody: mongoose.Schema.Types.Mixed,
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+// MongoDB removes keys once they expire
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
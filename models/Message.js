@@ -31,10 +31,20 @@ const messageSchema = new mongoose.Schema({
     type: Boolean, 
     default: false 
   },
+  // Posted by the platform (e.g. shipment updates) rather than typed by the sender
+  isSystem: {
+    type: Boolean,
+    default: false
+  },
+  // Set on messages that belong to a dispute thread
+  dispute: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dispute'
+  },
   offerDetails: {
     offerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer' },
     amount: Number,
-    action: String // 'created', 'accepted', 'declined', 'countered'
+    action: String // 'created', 'accepted', 'declined', 'countered', 'expired', 'reminder', 'broadcast'
   },
   read: { 
     type: Boolean, 
@@ -1,6 +1,8 @@
 // backend/models/Offer.js
 
 const mongoose = require('mongoose');
+const marketplace = require('../config/marketplace');
+const offerRulesSchema = require('./schemas/offerRules');
 
 const offerSchema = new mongoose.Schema({
   listing: { 
@@ -8,6 +10,12 @@ const offerSchema = new mongoose.Schema({
     ref: 'Product', // or 'Listing' depending on your model name
     required: true 
   },
+  // Bundle offers: every listing in the offer, all from the same seller.
+  // `listing` is the first of them; single-listing offers leave this empty.
+  listings: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product'
+  }],
   buyer: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'User', 
@@ -23,7 +31,7 @@ const offerSchema = new mongoose.Schema({
     required: true,
     min: 1 
   },
-  originalPrice: { 
+  originalPrice: { // sum of the listing prices for a bundle
     type: Number, 
     required: true 
   },
@@ -36,21 +44,41 @@ const offerSchema = new mongoose.Schema({
     enum: ['pending', 'accepted', 'declined', 'countered', 'expired', 'withdrawn'],
     default: 'pending'
   },
+  // 'seller' for price-drop offers a seller sends to users who favorited a
+  // listing: they start as a counter at the seller's price and the buyer can
+  // only accept or decline. `broadcastId` groups the offers from one send.
+  initiatedBy: {
+    type: String,
+    enum: ['buyer', 'seller'],
+    default: 'buyer'
+  },
+  broadcastId: mongoose.Schema.Types.ObjectId,
+  // Seller's latest counter. The buyer's latest amount is always offerAmount.
   counterOffer: {
     amount: Number,
     message: String,
     timestamp: Date
   },
+  // Negotiation round: 1 for the opening offer, +1 for every counter either side makes
+  round: {
+    type: Number,
+    default: 1
+  },
+  // Deadline for the side whose turn it is; reset every round
   expiresAt: { 
     type: Date, 
-    default: () => new Date(+new Date() + 48*60*60*1000) // 48 hours from now
+    default: () => new Date(Date.now() + marketplace.offerRoundExpiryHours * 60 * 60 * 1000)
   },
+  reminderRound: Number, // round the expiry reminder was last sent for
   acceptedAt: Date,
   declinedAt: Date,
+  paymentDueAt: Date, // set on acceptance; listing is released if unpaid by then
   
   // Auto-accept/decline settings (copied from listing at time of offer)
   autoAcceptPrice: Number,
   minimumOffer: Number,
+  // Seller's offer rules in force when the offer was made (listing over account-wide)
+  rules: offerRulesSchema,
   
   // Track offer history
   history: [{
@@ -60,8 +88,9 @@ const offerSchema = new mongoose.Schema({
     },
     amount: Number,
     message: String,
+    round: Number,
     timestamp: { type: Date, default: Date.now },
-    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' } // empty for system changes (e.g. expiry)
   }]
 }, { 
   timestamps: true 
@@ -69,13 +98,40 @@ const offerSchema = new mongoose.Schema({
 
 // Indexes for performance
 offerSchema.index({ listing: 1, status: 1 });
+offerSchema.index({ listings: 1, status: 1 });
 offerSchema.index({ buyer: 1, status: 1 });
 offerSchema.index({ seller: 1, status: 1 });
 offerSchema.index({ expiresAt: 1 });
+offerSchema.index({ broadcastId: 1 }, { sparse: true });
+
+// Every listing the offer covers (one unless it's a bundle)
+offerSchema.methods.listingIds = function() {
+  const ids = this.listings && this.listings.length ? this.listings : [this.listing];
+  return ids.map(l => l._id || l);
+};
+
+offerSchema.virtual('isBundle').get(function() {
+  return !!this.listings && this.listings.length > 1;
+});
+
+// Asking price percentage -> dollars
+offerSchema.methods.percentOfAsking = function(percent) {
+  return Math.round(this.originalPrice * percent) / 100;
+};
 
-// Check if offer should auto-accept or auto-decline
-offerSchema.methods.checkAutoResponse = function() {
+// Check if offer should auto-accept, auto-decline or auto-counter.
+// `buyer` (with rating and reviewCount) enables the trusted-buyer rule.
+offerSchema.methods.checkAutoResponse = function(buyer) {
   if (this.status !== 'pending') return null;
+  const rules = this.rules || {};
+
+  const trusted = rules.trustedBuyers;
+  if (buyer && trusted && trusted.autoAcceptPercent != null &&
+      buyer.rating >= trusted.minRating &&
+      (buyer.reviewCount || 0) >= (trusted.minReviews || 0) &&
+      this.offerAmount >= this.percentOfAsking(trusted.autoAcceptPercent)) {
+    return 'accept';
+  }
   
   if (this.autoAcceptPrice && this.offerAmount >= this.autoAcceptPrice) {
     return 'accept';
@@ -84,25 +140,79 @@ offerSchema.methods.checkAutoResponse = function() {
   if (this.minimumOffer && this.offerAmount < this.minimumOffer) {
     return 'decline';
   }
+
+  if (this.autoCounterAmount() !== null) {
+    return 'counter';
+  }
   
   return null;
 };
 
-// Check if offer has expired
-offerSchema.methods.isExpired = function() {
-  return this.status === 'pending' && new Date() > this.expiresAt;
+// Price to counter at when the offer falls in the seller's counter band, else null
+offerSchema.methods.autoCounterAmount = function() {
+  const band = this.rules && this.rules.counterBand;
+  if (!band || band.counterPercent == null) return null;
+
+  const counter = this.percentOfAsking(band.counterPercent);
+  const inBand = this.offerAmount >= this.percentOfAsking(band.fromPercent) &&
+    this.offerAmount < this.percentOfAsking(band.toPercent);
+  return inBand && counter > this.offerAmount ? counter : null;
+};
+
+// Deadline for a round starting now (seller's expiry rule or the default)
+offerSchema.methods.roundDeadline = function() {
+  const hours = (this.rules && this.rules.expiryHours) || marketplace.offerRoundExpiryHours;
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+};
+
+// Check if the current round has run out (waiting on either side)
+offerSchema.methods.isExpired = function(now = new Date()) {
+  return ['pending', 'countered'].includes(this.status) && now > this.expiresAt;
+};
+
+// Whose move it is: the seller answers a pending offer, the buyer a counter
+offerSchema.methods.awaitingResponseFrom = function() {
+  if (this.status === 'pending') return 'seller';
+  if (this.status === 'countered') return 'buyer';
+  return null;
+};
+
+// Whether another counter is allowed under the round limit
+offerSchema.methods.canCounter = function() {
+  return this.round < marketplace.offerMaxRounds;
+};
+
+// Start the next negotiation round and its expiry clock
+offerSchema.methods.nextRound = function() {
+  this.round += 1;
+  this.expiresAt = this.roundDeadline();
+  return this;
+};
+
+// Change status and log who did it. `action` defaults to the new status
+// (a buyer's counter sets status back to 'pending' but is logged as 'countered').
+offerSchema.methods.setStatus = function(status, by, { action = status, amount = this.offerAmount, message } = {}) {
+  this.status = status;
+  this.history.push({ action, amount, message, round: this.round, by });
+  this.$locals.historyRecorded = true;
+  return this;
 };
 
-// Add to history when status changes
+// The opening offer is logged for whoever made it; status changes made without
+// setStatus (expiry jobs) are logged as system changes with no actor
 offerSchema.pre('save', function(next) {
-  if (this.isModified('status')) {
-    this.history.push({
-      action: this.status,
-      amount: this.status === 'countered' ? this.counterOffer?.amount : this.offerAmount,
-      message: this.status === 'countered' ? this.counterOffer?.message : this.message,
-      by: this.status === 'countered' ? this.seller : this.buyer
+  if (this.isNew && !this.history.some(h => h.action === 'created')) {
+    this.history.unshift({
+      action: 'created',
+      amount: this.offerAmount,
+      message: this.message,
+      round: 1,
+      by: this.initiatedBy === 'seller' ? this.seller : this.buyer
     });
+  } else if (this.isModified('status') && !this.$locals.historyRecorded) {
+    this.history.push({ action: this.status, amount: this.offerAmount, round: this.round });
   }
+  this.$locals.historyRecorded = false;
   next();
 });
 
@@ -0,0 +1,242 @@
+// backend/models/Order.js
+
+const mongoose = require('mongoose');
+const httpError = require('../utils/httpError');
+
+// Allowed status moves; anything not listed here is rejected by transition()
+const TRANSITIONS = {
+  paid: ['shipped', 'delivered', 'cancelled'],
+  shipped: ['delivered', 'cancelled'],
+  delivered: ['completed', 'cancelled'],
+  completed: ['cancelled'], // full refund after the fact
+  cancelled: []
+};
+
+const orderSchema = new mongoose.Schema({
+  // Human-friendly reference shown on receipts and in support requests
+  orderNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Parties
+  buyer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  seller: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  listing: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true // first (or only) item
+  },
+  listingTitle: String, // snapshot, listings can be edited after the sale
+
+  // Everything bought in this order (one entry unless bought from a cart)
+  items: [{
+    listing: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    title: String,
+    price: Number,   // before discount
+    discount: { type: Number, default: 0 }
+  }],
+  offer: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer' // set when bought through an accepted offer
+  },
+
+  // Amounts in dollars (Stripe works in cents, we store what the buyer saw)
+  currency: { type: String, default: 'usd' },
+  amounts: {
+    itemPrice: { type: Number, required: true },
+    discount: { type: Number, default: 0 },
+    shipping: { type: Number, default: 0 },
+    tax: { type: Number, default: 0 },
+    total: { type: Number, required: true },
+    marketplaceFee: { type: Number, default: 0 }, // kept by us, seller receives total minus this and tax
+    refunded: { type: Number, default: 0 }
+  },
+
+  // Sales tax applied at checkout (services/taxService.js)
+  tax: {
+    rate: Number,
+    jurisdiction: String
+  },
+
+  // Promotion snapshot (codes can be edited or deleted later)
+  promotion: {
+    promotionId: { type: mongoose.Schema.Types.ObjectId, ref: 'PromotionCode' },
+    code: String,
+    percent: Number,
+    discount: Number
+  },
+
+  // Shipping choice
+  shipping: {
+    method: {
+      type: String,
+      enum: ['shipping', 'pickup'],
+      default: 'pickup'
+    },
+    // Snapshot of the buyer's address at checkout
+    address: {
+      name: String,
+      street1: String,
+      street2: String,
+      city: String,
+      state: String,
+      zipCode: String,
+      country: String
+    },
+    carrier: String,
+    trackingNumber: String,
+    // Set when the label was bought through a carrier adapter (services/carriers)
+    label: {
+      labelId: String,
+      service: String,
+      cost: Number,
+      url: String,
+      parcel: {
+        weightOz: Number,
+        lengthIn: Number,
+        widthIn: Number,
+        heightIn: Number
+      },
+      purchasedAt: Date
+    },
+    trackingStatus: {
+      type: String,
+      enum: ['pre_transit', 'in_transit', 'out_for_delivery', 'delivered', 'exception']
+    },
+    trackingEvents: [{
+      status: String,
+      description: String,
+      location: String,
+      occurredAt: Date
+    }],
+    lastTrackedAt: Date
+  },
+
+  // Stripe
+  paymentIntentId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  chargeId: String,
+  transferGroup: String,
+
+  // Escrow: the seller's share stays on the platform until release
+  payout: {
+    status: {
+      type: String,
+      enum: ['held', 'frozen', 'released', 'cancelled'],
+      default: 'held'
+    },
+    amount: Number,      // dollars, total minus marketplace fee
+    destination: String, // seller's Connect account
+    releaseAt: Date,     // set on delivery; cron releases after this
+    releasedAt: Date,
+    transferId: String
+  },
+
+  // Buyer-reported problem during the escrow window (freezes the payout)
+  issue: {
+    status: { type: String, enum: ['open', 'resolved'] },
+    reason: String,
+    description: String,
+    openedAt: Date,
+    resolution: { type: String, enum: ['release', 'refund'] },
+    resolutionNote: String,
+    resolvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    resolvedAt: Date
+  },
+
+  // Every refund issued against this order, newest last
+  refunds: [{
+    stripeRefundId: String,
+    amount: { type: Number, required: true },
+    reason: String,
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    role: { type: String, enum: ['seller', 'admin', 'buyer', 'system'] },
+    createdAt: { type: Date, default: Date.now }
+  }],
+
+  // Buyer asks to cancel before shipment; seller approves (full refund) or declines
+  cancellationRequest: {
+    status: { type: String, enum: ['pending', 'approved', 'declined'] },
+    reason: String,
+    requestedAt: Date,
+    respondedAt: Date
+  },
+
+  // Set from Stripe's charge.dispute.* webhooks
+  dispute: {
+    stripeDisputeId: String,
+    reason: String,
+    status: String,
+    amount: Number,
+    openedAt: Date
+  },
+
+  // Lifecycle
+  status: {
+    type: String,
+    enum: Object.keys(TRANSITIONS),
+    default: 'paid'
+  },
+  paidAt: { type: Date, default: Date.now },
+  shippedAt: Date,
+  deliveredAt: Date,
+  completedAt: Date,
+  cancelledAt: Date,
+
+  invoiceSentAt: Date,
+
+  statusHistory: [{
+    status: String,
+    note: String,
+    timestamp: { type: Date, default: Date.now },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+orderSchema.index({ buyer: 1, createdAt: -1 });
+orderSchema.index({ seller: 1, createdAt: -1 });
+orderSchema.index({ listing: 1 });
+orderSchema.index({ 'payout.status': 1, 'payout.releaseAt': 1 });
+orderSchema.index({ 'shipping.carrier': 1, 'shipping.trackingNumber': 1 });
+
+orderSchema.statics.TRANSITIONS = TRANSITIONS;
+
+// e.g. SS-20250301-4F7K2Q
+orderSchema.statics.generateOrderNumber = function() {
+  const date = new Date().toISOString().slice(0, 10).replace(/-/g, '');
+  const suffix = Math.random().toString(36).slice(2, 8).toUpperCase();
+  return `SS-${date}-${suffix}`;
+};
+
+orderSchema.methods.canTransitionTo = function(status) {
+  return (TRANSITIONS[this.status] || []).includes(status);
+};
+
+// Move to a new status, stamping the matching *At field and history
+orderSchema.methods.transition = function(status, by, note) {
+  if (!this.canTransitionTo(status)) {
+    throw httpError(400, `Cannot move order from ${this.status} to ${status}`);
+  }
+  this.status = status;
+  this[`${status}At`] = new Date();
+  this.statusHistory.push({ status, note, by });
+  return this;
+};
+
+module.exports = mongoose.model('Order', orderSchema);
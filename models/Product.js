@@ -1,6 +1,7 @@
 // backend/models/Product.js
 
 const mongoose = require('mongoose');
+const offerRulesSchema = require('./schemas/offerRules');
 
 const productSchema = new mongoose.Schema({
   // Basic Information
@@ -96,6 +97,8 @@ const productSchema = new mongoose.Schema({
       message: 'Auto-accept price cannot be higher than listing price'
     }
   },
+  // Overrides the seller's account-wide offer rules for this listing
+  offerRules: offerRulesSchema,
 
   // Promotional Features
   acceptsDiscounts: {
@@ -119,10 +122,7 @@ const productSchema = new mongoose.Schema({
     timesDiscountApplied: { type: Number, default: 0 },
     totalDiscountValue: { type: Number, default: 0 },
     lastDiscountUsed: Date
-  }
-}, {
-  timestamps: true,
-
+  },
   
   // Images (Cloudinary integration)
   images: [{
@@ -166,6 +166,20 @@ const productSchema = new mongoose.Schema({
   },
   soldPrice: Number,
   soldAt: Date,
+
+  // Reservation while an accepted offer awaits payment (status 'pending')
+  reservation: {
+    buyer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    offer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Offer'
+    },
+    amount: Number,
+    expiresAt: Date
+  },
   
   // Analytics
   views: {
@@ -235,6 +249,22 @@ productSchema.methods.markAsSold = async function(buyerId, salePrice) {
   this.soldTo = buyerId;
   this.soldPrice = salePrice || this.price;
   this.soldAt = new Date();
+  this.reservation = undefined;
+  return this.save();
+};
+
+// Method to check if the listing is currently held for a buyer
+productSchema.methods.isReservedFor = function(buyerId) {
+  return this.status === 'pending' &&
+    !!this.reservation?.buyer &&
+    this.reservation.buyer.toString() === buyerId.toString() &&
+    this.reservation.expiresAt > new Date();
+};
+
+// Method to put a reserved listing back on sale
+productSchema.methods.releaseReservation = async function() {
+  this.status = 'available';
+  this.reservation = undefined;
   return this.save();
 };
 
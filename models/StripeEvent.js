@@ -0,0 +1,42 @@
+// backend/models/StripeEvent.js
+
+const mongoose = require('mongoose');
+
+// Every Stripe webhook event we accept is stored once, keyed by Stripe's event id.
+// The stored payload is what gets re-processed by the admin replay endpoint.
+const stripeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    required: true
+  },
+  livemode: Boolean,
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['received', 'processed', 'ignored', 'failed'],
+    default: 'received'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: String,
+  result: String, // short note from the handler, shown in the admin list
+  processedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+stripeEventSchema.index({ type: 1, createdAt: -1 });
+stripeEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('StripeEvent', stripeEventSchema);
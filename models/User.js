@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
+const offerRulesSchema = require('./schemas/offerRules');
 
 const userSchema = new mongoose.Schema(
   {
@@ -70,6 +71,30 @@ const userSchema = new mongoose.Schema(
     emailNotifications: { type: Boolean, default: true },
     smsNotifications: { type: Boolean, default: false },
     marketingEmails: { type: Boolean, default: false },
+    // Offer emails as they happen, batched into an hourly digest, or none
+    // (emailNotifications off also turns them off)
+    offerEmails: { type: String, enum: ['instant', 'digest', 'off'], default: 'instant' },
+    // No offer emails between start and end (hours, in timeZone); held until after
+    quietHours: {
+      enabled: { type: Boolean, default: false },
+      start: { type: Number, min: 0, max: 23, default: 22 },
+      end: { type: Number, min: 0, max: 23, default: 7 },
+      timeZone: {
+        type: String,
+        default: 'UTC',
+        validate: {
+          validator: (tz) => {
+            try {
+              new Intl.DateTimeFormat('en-US', { timeZone: tz });
+              return true;
+            } catch (err) {
+              return false;
+            }
+          },
+          message: 'Unknown time zone'
+        }
+      }
+    },
 
     // Climbing Preferences
     climbingStyle: { type: String, enum: ['sport', 'trad', 'boulder', 'alpine', 'all'] },
@@ -96,7 +121,13 @@ const userSchema = new mongoose.Schema(
 
     // Stripe Integration
     stripeCustomerId: String,
-    stripeAccountId: String,
+    stripeAccountId: String, // Connect Express account (seller payouts)
+    stripeAccountStatus: {
+      chargesEnabled: { type: Boolean, default: false },
+      payoutsEnabled: { type: Boolean, default: false },
+      detailsSubmitted: { type: Boolean, default: false },
+      updatedAt: Date
+    },
     paymentMethods: [{
       id: String,
       brand: String,
@@ -118,17 +149,29 @@ const userSchema = new mongoose.Schema(
     ipAddress: String,
 
     // Shipping Addresses
+    // (lengths are capped so an address fits in PaymentIntent metadata at checkout)
     addresses: [{
-      label: String,
-      street1: String,
-      street2: String,
-      city: String,
-      state: String,
-      zipCode: String,
-      country: String,
-      isDefault: Boolean
+      label: { type: String, maxLength: 30 },
+      name: { type: String, maxLength: 60 }, // recipient
+      street1: { type: String, required: true, maxLength: 80 },
+      street2: { type: String, maxLength: 80 },
+      city: { type: String, required: true, maxLength: 50 },
+      state: { type: String, required: true, maxLength: 30 },
+      zipCode: { type: String, required: true, maxLength: 15 },
+      country: { type: String, required: true, maxLength: 30, default: 'US' },
+      isDefault: { type: Boolean, default: false }
     }],
 
+    // Seller standing: disputes decided against the seller count toward suspension
+    disputeStats: {
+      opened: { type: Number, default: 0 },
+      lost: { type: Number, default: 0 },
+      lastLostAt: Date
+    },
+
+    // Account-wide rules for offers on this seller's listings
+    offerRules: offerRulesSchema,
+
     // Stats for 1% for Climbing
     totalContributed: { type: Number, default: 0 }
   },
@@ -224,6 +267,16 @@ userSchema.methods.removeFromFavorites = async function (productId) {
   return this.save();
 };
 
+// Make one address the default and clear the flag on all others (not saved)
+userSchema.methods.setDefaultAddress = function (addressId) {
+  this.addresses.forEach(a => { a.isDefault = a._id.toString() === addressId.toString(); });
+  return this;
+};
+
+userSchema.methods.getDefaultAddress = function () {
+  return this.addresses.find(a => a.isDefault) || this.addresses[0] || null;
+};
+
 userSchema.methods.follow = async function (userId) {
   if (!this.following.includes(userId)) {
     this.following.push(userId);
@@ -0,0 +1,51 @@
+// backend/models/schemas/offerRules.js
+// Seller rules for incoming offers. Set account-wide on the User and per
+// listing on the Product (a listing's rules win field by field); the
+// resolved rules are copied onto each Offer when it is made.
+// Prices are percentages of the asking price so one set of account-wide
+// rules fits every listing and bundle.
+
+const mongoose = require('mongoose');
+
+const offerRulesSchema = new mongoose.Schema({
+  // Reject offers from buyer accounts younger than this
+  minAccountAgeDays: { type: Number, min: 0 },
+
+  // How long each negotiation round stays open (instead of the default)
+  expiryHours: { type: Number, min: 1, max: 14 * 24 },
+
+  // Offers from fromPercent up to (not including) toPercent of the asking
+  // price are countered automatically at counterPercent
+  counterBand: {
+    fromPercent: { type: Number, min: 0, max: 100 },
+    toPercent: { type: Number, min: 0, max: 100 },
+    counterPercent: { type: Number, min: 0, max: 100 }
+  },
+
+  // Well-rated buyers are accepted automatically from a lower price
+  trustedBuyers: {
+    minRating: { type: Number, min: 0, max: 5 },
+    minReviews: { type: Number, min: 0, default: 1 },
+    autoAcceptPercent: { type: Number, min: 0, max: 100 }
+  }
+}, { _id: false });
+
+offerRulesSchema.pre('validate', function(next) {
+  const band = this.counterBand;
+  if (band && band.counterPercent != null) {
+    if (band.fromPercent == null || band.toPercent == null) {
+      this.invalidate('counterBand', 'Counter band needs fromPercent and toPercent');
+    } else if (band.fromPercent >= band.toPercent) {
+      this.invalidate('counterBand.toPercent', 'Counter band toPercent must be above fromPercent');
+    } else if (band.counterPercent < band.toPercent) {
+      this.invalidate('counterBand.counterPercent', 'Counter price must be at or above the top of the band');
+    }
+  }
+  const trusted = this.trustedBuyers;
+  if (trusted && trusted.autoAcceptPercent != null && trusted.minRating == null) {
+    this.invalidate('trustedBuyers.minRating', 'Trusted buyer rules need a minRating');
+  }
+  next();
+});
+
+module.exports = offerRulesSchema;
@@ -0,0 +1,38 @@
+// routes/admin/contributions.js
+const express = require('express');
+const router = express.Router();
+const { monthlyReport, markPeriodRemitted } = require('../../services/contributionService');
+const { admin: authenticateAdmin } = require('../../middleware/auth');
+
+const PERIOD = /^\d{4}-\d{2}$/;
+
+// Monthly 1% for Climbing totals (optional ?from=YYYY-MM&to=YYYY-MM)
+router.get('/report', authenticateAdmin, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    if ((from && !PERIOD.test(from)) || (to && !PERIOD.test(to))) {
+      return res.status(400).json({ success: false, message: 'from and to must be YYYY-MM' });
+    }
+
+    const data = await monthlyReport({ from, to });
+    res.json({ success: true, data });
+  } catch {
+    res.status(500).json({ success: false, message: 'Error building contribution report' });
+  }
+});
+
+// Record that a month's pending contributions were paid to the nonprofit
+router.post('/:period/remit', authenticateAdmin, async (req, res) => {
+  try {
+    if (!PERIOD.test(req.params.period)) {
+      return res.status(400).json({ success: false, message: 'Period must be YYYY-MM' });
+    }
+
+    const remitted = await markPeriodRemitted(req.params.period);
+    res.json({ success: true, data: { period: req.params.period, remitted } });
+  } catch {
+    res.status(500).json({ success: false, message: 'Error marking contributions remitted' });
+  }
+});
+
+module.exports = router;
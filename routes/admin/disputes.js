@@ -0,0 +1,65 @@
+// routes/admin/disputes.js
+const express = require('express');
+const router = express.Router();
+const Dispute = require('../../models/Dispute');
+const Message = require('../../models/Message');
+const { decideDispute } = require('../../services/disputeService');
+const { admin: authenticateAdmin } = require('../../middleware/auth');
+
+// List disputes (?status=open|under_review|resolved, ?source=stripe|buyer)
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.source) query.source = req.query.source;
+
+    const disputes = await Dispute.find(query)
+      .populate('order', 'orderNumber amounts status payout')
+      .populate('buyer', 'username email')
+      .populate('seller', 'username email disputeStats status')
+      .sort({ createdAt: 1 });
+    res.json({ success: true, data: disputes });
+  } catch {
+    res.status(500).json({ success: false, message: 'Error fetching disputes' });
+  }
+});
+
+// One dispute with its evidence and thread
+router.get('/:id', authenticateAdmin, async (req, res) => {
+  try {
+    const dispute = await Dispute.findById(req.params.id)
+      .populate('order')
+      .populate('buyer', 'username email')
+      .populate('seller', 'username email disputeStats status');
+    if (!dispute) return res.status(404).json({ success: false, message: 'Dispute not found' });
+
+    const messages = await Message.find({ dispute: dispute._id })
+      .populate('sender', 'username')
+      .sort({ createdAt: 1 });
+    res.json({ success: true, data: { dispute, messages } });
+  } catch {
+    res.status(500).json({ success: false, message: 'Error fetching dispute' });
+  }
+});
+
+// Decide a buyer dispute: { decision: 'buyer' | 'seller', note? }
+// 'buyer' refunds the order in full; 'seller' releases the payout
+router.put('/:id/decision', authenticateAdmin, async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    if (!['buyer', 'seller'].includes(decision)) {
+      return res.status(400).json({ success: false, message: "Decision must be 'buyer' or 'seller'" });
+    }
+
+    const dispute = await Dispute.findById(req.params.id);
+    if (!dispute) return res.status(404).json({ success: false, message: 'Dispute not found' });
+
+    await decideDispute(dispute, req.user.id, { decision, note });
+    res.json({ success: true, data: dispute });
+  } catch (err) {
+    console.error('Decide dispute error:', err);
+    res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Error deciding dispute' });
+  }
+});
+
+module.exports = router;
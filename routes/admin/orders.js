@@ -0,0 +1,67 @@
+// routes/admin/orders.js
+const express = require('express');
+const router = express.Router();
+const Order = require('../../models/Order');
+const Dispute = require('../../models/Dispute');
+const { resolveIssue } = require('../../services/escrowService');
+const { decideDispute } = require('../../services/disputeService');
+const { refundOrder } = require('../../services/refundService');
+const { admin: authenticateAdmin } = require('../../middleware/auth');
+
+// List orders with an issue (?issue=open|resolved, default open)
+router.get('/issues', authenticateAdmin, async (req, res) => {
+  try {
+    const orders = await Order.find({ 'issue.status': req.query.issue || 'open' })
+      .populate('buyer', 'username email')
+      .populate('seller', 'username email')
+      .sort({ 'issue.openedAt': 1 });
+    res.json({ success: true, data: orders });
+  } catch {
+    res.status(500).json({ success: false, message: 'Error fetching orders' });
+  }
+});
+
+// Resolve an issue: { resolution: 'release' | 'refund', note? }
+router.put('/:id/issue/resolve', authenticateAdmin, async (req, res) => {
+  try {
+    const { resolution, note } = req.body;
+    if (!['release', 'refund'].includes(resolution)) {
+      return res.status(400).json({ success: false, message: "Resolution must be 'release' or 'refund'" });
+    }
+
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+    // Issues opened since disputes existed are decided through their dispute
+    const dispute = await Dispute.findOne({ order: order._id, source: 'buyer', status: { $ne: 'resolved' } });
+    if (dispute) {
+      await decideDispute(dispute, req.user.id, { decision: resolution === 'refund' ? 'buyer' : 'seller', note });
+      return res.json({ success: true, data: await Order.findById(order._id) });
+    }
+
+    await resolveIssue(order, req.user.id, { resolution, note });
+    res.json({ success: true, data: order });
+  } catch (err) {
+    console.error('Resolve issue error:', err);
+    res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Error resolving issue' });
+  }
+});
+
+// Refund an order: { amount? (dollars, default full), reason }
+router.post('/:id/refunds', authenticateAdmin, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    if (!reason) return res.status(400).json({ success: false, message: 'Refund reason is required' });
+
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ success: false, message: 'Order not found' });
+
+    await refundOrder(order, { amount, reason, by: req.user.id, role: 'admin' });
+    res.status(201).json({ success: true, data: order });
+  } catch (err) {
+    console.error('Admin refund error:', err);
+    res.status(err.status || 500).json({ success: false, message: err.status ? err.message : 'Error refunding order' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,39 @@
+// routes/admin/stripeEvents.js
+const express = require('express');
+const router = express.Router();
+const StripeEvent = require('../../models/StripeEvent');
+const { processStoredEvent } = require('../../services/stripeWebhooks');
+const { admin: authenticateAdmin } = require('../../middleware/auth');
+
+// List (filter by ?status= and ?type=)
+router.get('/', authenticateAdmin, async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.status) query.status = req.query.status;
+    if (req.query.type) query.type = req.query.type;
+
+    const events = await StripeEvent.find(query)
+      .select('-payload')
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 50, 200));
+    res.json({ success: true, data: events });
+  } catch {
+    res.status(500).json({ success: false, message: 'Error fetching Stripe events' });
+  }
+});
+
+// Replay a stored event through its handler (handlers are idempotent)
+router.post('/:eventId/replay', authenticateAdmin, async (req, res) => {
+  try {
+    const stored = await StripeEvent.findOne({ eventId: req.params.eventId });
+    if (!stored) return res.status(404).json({ success: false, message: 'Event not found' });
+
+    await processStoredEvent(stored);
+    res.json({ success: true, data: stored });
+  } catch (err) {
+    console.error('Replay Stripe event error:', err);
+    res.status(500).json({ success: false, message: err.message || 'Error replaying event' });
+  }
+});
+
+module.exports = router;
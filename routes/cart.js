@@ -0,0 +1,194 @@
+// backend/routes/cart.js
+
+const express = require('express');
+const router = express.Router();
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const auth = require('../middleware/auth');
+const idempotency = require('../middleware/idempotency');
+const { quoteCart, createCartPaymentIntents } = require('../services/checkoutService');
+
+// Listings in the cart, split into ones that can still be bought and ones that can't
+async function loadCartListings(cart) {
+  const ids = cart.items.map(item => item.listing);
+  const listings = await Product.find({ _id: { $in: ids } });
+
+  const byId = new Map(listings.map(l => [String(l._id), l]));
+  const available = [];
+  const unavailable = [];
+  for (const item of cart.items) {
+    const listing = byId.get(String(item.listing));
+    if (listing && listing.status === 'available') available.push(listing);
+    else unavailable.push({ listing: item.listing, status: listing ? listing.status : 'removed' });
+  }
+  return { available, unavailable };
+}
+
+// Quote groups → JSON the client can render (one section per seller)
+function formatGroups(groups) {
+  return groups.map(group => ({
+    seller: group.seller,
+    items: group.items.map(i => ({
+      listing: i.listing._id,
+      title: i.listing.title,
+      price: i.price,
+      discount: i.promo.discountAmount,
+      finalPrice: i.promo.finalPrice,
+      ...(i.promo.reason && { promotionError: i.promo.reason })
+    })),
+    shipping: group.shipping,
+    discount: group.discount,
+    ...(group.tax && { tax: group.tax.amount, taxRate: group.tax.rate }),
+    total: group.total
+  }));
+}
+
+// GET CART (grouped by seller and priced)
+// GET /api/cart?shippingMethod=&code=
+router.get('/', auth, async (req, res) => {
+  try {
+    const { shippingMethod = 'pickup', code } = req.query;
+    const cart = await Cart.forUser(req.user.id);
+    const { available, unavailable } = await loadCartListings(cart);
+
+    const groups = await quoteCart({
+      listings: available,
+      buyerId: req.user.id,
+      code,
+      shippingMethod
+    });
+
+    res.json({
+      success: true,
+      groups: formatGroups(groups),
+      unavailable,
+      total: Math.round(groups.reduce((sum, g) => sum + g.total, 0) * 100) / 100
+    });
+
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to get cart' });
+  }
+});
+
+// ADD TO CART
+// POST /api/cart/items
+router.post('/items', auth, async (req, res) => {
+  try {
+    const { listingId } = req.body;
+
+    const listing = await Product.findById(listingId);
+    if (!listing) {
+      return res.status(404).json({ error: 'Listing not found' });
+    }
+
+    if (listing.status !== 'available') {
+      return res.status(400).json({ error: 'Listing is no longer available' });
+    }
+
+    if (listing.seller.toString() === req.user.id) {
+      return res.status(400).json({ error: 'You cannot add your own listing to your cart' });
+    }
+
+    const cart = await Cart.forUser(req.user.id);
+    if (!cart.hasListing(listingId)) {
+      cart.items.push({ listing: listingId });
+      await cart.save();
+    }
+
+    res.status(201).json({
+      success: true,
+      cart
+    });
+
+  } catch (error) {
+    console.error('Add to cart error:', error);
+    res.status(500).json({ error: 'Failed to add to cart' });
+  }
+});
+
+// REMOVE FROM CART
+// DELETE /api/cart/items/:listingId
+router.delete('/items/:listingId', auth, async (req, res) => {
+  try {
+    const cart = await Cart.findOneAndUpdate(
+      { user: req.user.id },
+      { $pull: { items: { listing: req.params.listingId } } },
+      { new: true }
+    );
+
+    res.json({
+      success: true,
+      cart
+    });
+
+  } catch (error) {
+    console.error('Remove from cart error:', error);
+    res.status(500).json({ error: 'Failed to remove from cart' });
+  }
+});
+
+// CLEAR CART
+// DELETE /api/cart
+router.delete('/', auth, async (req, res) => {
+  try {
+    await Cart.updateOne({ user: req.user.id }, { $set: { items: [] } });
+
+    res.json({
+      success: true,
+      message: 'Cart cleared'
+    });
+
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({ error: 'Failed to clear cart' });
+  }
+});
+
+// CHECKOUT CART - one PaymentIntent per seller
+// POST /api/cart/checkout
+// Send an Idempotency-Key header so a retry gets the first intents back
+// instead of a new set
+router.post('/checkout', auth, idempotency, async (req, res) => {
+  try {
+    const { shippingMethod = 'pickup', code, addressId, currency = 'usd' } = req.body;
+    const cart = await Cart.forUser(req.user.id);
+
+    if (!cart.items.length) {
+      return res.status(400).json({ error: 'Your cart is empty' });
+    }
+
+    const { available, unavailable } = await loadCartListings(cart);
+    if (unavailable.length) {
+      return res.status(400).json({
+        error: 'Some items in your cart are no longer available',
+        unavailable
+      });
+    }
+
+    const results = await createCartPaymentIntents({
+      listings: available,
+      buyerId: req.user.id,
+      code,
+      shippingMethod,
+      addressId,
+      currency
+    });
+
+    res.json({
+      success: true,
+      payments: results.map(({ pi, group }) => ({
+        ...formatGroups([group])[0],
+        clientSecret: pi.client_secret,
+        paymentIntentId: pi.id
+      })),
+      total: results.reduce((sum, { pi }) => sum + pi.amount, 0) / 100
+    });
+
+  } catch (error) {
+    console.error('Cart checkout error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to check out' });
+  }
+});
+
+module.exports = router;
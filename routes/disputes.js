@@ -0,0 +1,109 @@
+// backend/routes/disputes.js
+
+const express = require('express');
+const router = express.Router();
+const Dispute = require('../models/Dispute');
+const Message = require('../models/Message');
+const auth = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { addEvidence, postDisputeMessage } = require('../services/disputeService');
+
+// Load a dispute the current user is a party to (sends the error response otherwise)
+async function loadDispute(req, res) {
+  const dispute = await Dispute.findById(req.params.id);
+  if (!dispute) {
+    res.status(404).json({ error: 'Dispute not found' });
+    return null;
+  }
+  if (!dispute.involves(req.user.id)) {
+    res.status(403).json({ error: 'Not authorized' });
+    return null;
+  }
+  return dispute;
+}
+
+// GET MY DISPUTES (as buyer or seller)
+// GET /api/disputes?status=
+router.get('/', auth, async (req, res) => {
+  try {
+    const query = { $or: [{ buyer: req.user.id }, { seller: req.user.id }] };
+    if (req.query.status) query.status = req.query.status;
+
+    const disputes = await Dispute.find(query)
+      .populate('order', 'orderNumber listingTitle amounts.total status')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, disputes });
+  } catch (error) {
+    console.error('Get disputes error:', error);
+    res.status(500).json({ error: 'Failed to get disputes' });
+  }
+});
+
+// GET DISPUTE WITH ITS THREAD
+// GET /api/disputes/:id
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    const messages = await Message.find({ dispute: dispute._id, deleted: false })
+      .populate('sender', 'username avatar')
+      .sort({ createdAt: 1 });
+
+    await dispute.populate('order', 'orderNumber listingTitle amounts status payout.status');
+
+    res.json({ success: true, dispute, messages });
+  } catch (error) {
+    console.error('Get dispute error:', error);
+    res.status(500).json({ error: 'Failed to get dispute' });
+  }
+});
+
+// REPLY IN DISPUTE THREAD (buyer or seller)
+// POST /api/disputes/:id/messages
+router.post('/:id/messages', auth, async (req, res) => {
+  try {
+    const { message } = req.body;
+    if (!message || !message.trim()) {
+      return res.status(400).json({ error: 'Message is required' });
+    }
+
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    if (dispute.status === 'resolved') {
+      return res.status(400).json({ error: 'Dispute is already resolved' });
+    }
+
+    const isBuyer = dispute.buyer.toString() === req.user.id;
+    const msg = await postDisputeMessage(dispute, {
+      sender: req.user.id,
+      receiver: isBuyer ? dispute.seller : dispute.buyer,
+      message: message.trim()
+    });
+
+    res.status(201).json({ success: true, message: msg });
+  } catch (error) {
+    console.error('Dispute message error:', error);
+    res.status(500).json({ error: 'Failed to send message' });
+  }
+});
+
+// UPLOAD EVIDENCE (for sellers) - images, up to 5 per request
+// POST /api/disputes/:id/evidence  (multipart: evidence[], note?)
+router.post('/:id/evidence', auth, upload.array('evidence', 5), async (req, res) => {
+  try {
+    const dispute = await loadDispute(req, res);
+    if (!dispute) return;
+
+    await addEvidence(dispute, req.user.id, req.files, req.body.note);
+
+    res.status(201).json({ success: true, dispute, message: 'Evidence added' });
+  } catch (error) {
+    console.error('Add evidence error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to add evidence' });
+  }
+});
+
+module.exports = router;
@@ -1,151 +1,44 @@
 // backend/routes/offers.js
 
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Offer = require('../models/Offer');
 const Product = require('../models/Product'); // Adjust to your model name
 const Message = require('../models/Message');
 const Conversation = require('../models/Conversation');
 const auth = require('../middleware/auth'); // Your auth middleware
+const idempotency = require('../middleware/idempotency');
+const { acceptOffer, createOffer, broadcastOffer } = require('../services/offerService');
+const { notifyOfferEvent } = require('../services/notificationService');
+const { statusFilter, withEffectiveStatus } = require('../services/offerExpiryService');
+const { getListingInsights } = require('../services/offerInsightsService');
+const { createListingPaymentIntent, createBundlePaymentIntent } = require('../services/checkoutService');
+
+// The other party as shown on an offer: no addresses, offer rules (a buyer
+// could aim at the auto-accept price), email preferences or account standing
+const PARTY_FIELDS = '-addresses -offerRules -offerEmails -quietHours -disputeStats -stripeAccountStatus';
 
 // CREATE NEW OFFER
 // POST /api/offers
-router.post('/', auth, async (req, res) => {
+router.post('/', auth, idempotency, async (req, res) => {
   try {
-    const { listingId, offerAmount, message } = req.body;
-    const buyerId = req.user.id;
-
-    // Validate listing exists and is available
-    const listing = await Product.findById(listingId).populate('seller');
-    if (!listing) {
-      return res.status(404).json({ error: 'Listing not found' });
-    }
-
-    if (listing.status !== 'available') {
-      return res.status(400).json({ error: 'Listing is no longer available' });
-    }
-
-    if (!listing.acceptsOffers) {
-      return res.status(400).json({ error: 'This listing does not accept offers' });
-    }
-
-    // Prevent self-offers
-    if (listing.seller._id.toString() === buyerId) {
-      return res.status(400).json({ error: 'You cannot make an offer on your own listing' });
-    }
+    const { listingId, listingIds, offerAmount, message } = req.body;
 
-    // Check for existing pending offer from this buyer
-    const existingOffer = await Offer.findOne({
-      listing: listingId,
-      buyer: buyerId,
-      status: 'pending'
-    });
-
-    if (existingOffer) {
-      // Check if 24 hours have passed since last offer
-      const hoursSinceOffer = (Date.now() - existingOffer.createdAt) / (1000 * 60 * 60);
-      if (hoursSinceOffer < 24) {
-        return res.status(400).json({ 
-          error: `Please wait ${Math.ceil(24 - hoursSinceOffer)} more hours before making another offer` 
-        });
-      }
-      // Expire the old offer
-      existingOffer.status = 'withdrawn';
-      await existingOffer.save();
-    }
-
-    // Create the offer
-    const offer = new Offer({
-      listing: listingId,
-      buyer: buyerId,
-      seller: listing.seller._id,
+    // A bundle sends listingIds; a single-listing offer sends listingId
+    const { offer, autoResponse } = await createOffer({
+      buyerId: req.user.id,
+      listingIds: Array.isArray(listingIds) && listingIds.length ? listingIds : [listingId],
       offerAmount,
-      originalPrice: listing.price,
-      message,
-      autoAcceptPrice: listing.autoAcceptPrice,
-      minimumOffer: listing.minimumOffer
+      message
     });
 
-    // Check for auto-response
-    const autoResponse = offer.checkAutoResponse();
-    
-    if (autoResponse === 'accept') {
-      offer.status = 'accepted';
-      offer.acceptedAt = new Date();
-      
-      // Update listing status
-      listing.status = 'sold';
-      listing.soldTo = buyerId;
-      listing.soldPrice = offerAmount;
-      await listing.save();
-      
-      // Send auto-accept message
-      const conversation = await Conversation.findOrCreate(
-        [buyerId, listing.seller._id],
-        listingId
-      );
-      
-      await Message.create({
-        conversation: conversation._id,
-        sender: listing.seller._id,
-        receiver: buyerId,
-        listing: listingId,
-        message: `Great news! Your offer of $${offerAmount} has been automatically accepted. Please proceed with payment.`,
-        isOffer: true,
-        offerDetails: {
-          offerId: offer._id,
-          amount: offerAmount,
-          action: 'accepted'
-        }
-      });
-      
-    } else if (autoResponse === 'decline') {
-      offer.status = 'declined';
-      offer.declinedAt = new Date();
-      
-      // Send auto-decline message
-      const conversation = await Conversation.findOrCreate(
-        [buyerId, listing.seller._id],
-        listingId
-      );
-      
-      await Message.create({
-        conversation: conversation._id,
-        sender: listing.seller._id,
-        receiver: buyerId,
-        listing: listingId,
-        message: `Your offer of $${offerAmount} is below the minimum acceptable price for this item.`,
-        isOffer: true,
-        offerDetails: {
-          offerId: offer._id,
-          amount: offerAmount,
-          action: 'declined'
-        }
-      });
-    } else {
-      // Send offer notification message
-      const conversation = await Conversation.findOrCreate(
-        [buyerId, listing.seller._id],
-        listingId
-      );
-      
-      await Message.create({
-        conversation: conversation._id,
-        sender: buyerId,
-        receiver: listing.seller._id,
-        listing: listingId,
-        message: message || `Offer of $${offerAmount} for ${listing.title}`,
-        isOffer: true,
-        offerDetails: {
-          offerId: offer._id,
-          amount: offerAmount,
-          action: 'created'
-        }
-      });
-    }
-
-    await offer.save();
-    await offer.populate('buyer seller listing');
+    await offer.populate([
+      { path: 'buyer', select: '-addresses -offerRules' },
+      { path: 'seller', select: '-addresses -offerRules' },
+      { path: 'listing' },
+      { path: 'listings' }
+    ]);
 
     res.status(201).json({
       success: true,
@@ -155,7 +48,32 @@ router.post('/', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Create offer error:', error);
-    res.status(500).json({ error: 'Failed to create offer' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to create offer' });
+  }
+});
+
+// SEND A PRICE-DROP OFFER TO EVERYONE WHO FAVORITED A LISTING (for sellers)
+// POST /api/offers/broadcast
+router.post('/broadcast', auth, idempotency, async (req, res) => {
+  try {
+    const { listingId, amount, expiresInHours, message } = req.body;
+
+    const result = await broadcastOffer({
+      sellerId: req.user.id,
+      listingId,
+      amount,
+      expiresInHours,
+      message
+    });
+
+    res.status(201).json({
+      success: true,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Broadcast offer error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to send offers' });
   }
 });
 
@@ -165,23 +83,20 @@ router.get('/received', auth, async (req, res) => {
   try {
     const sellerId = req.user.id;
     const { status, listingId } = req.query;
+    const now = new Date();
 
-    const query = { seller: sellerId };
-    if (status) query.status = status;
-    if (listingId) query.listing = listingId;
+    // Overdue offers are expired by the cron job; until then they read as expired
+    const query = { seller: sellerId, $and: [] };
+    if (status) query.$and.push(statusFilter(status, now));
+    if (listingId) query.$and.push({ $or: [{ listing: listingId }, { listings: listingId }] });
+    if (!query.$and.length) delete query.$and;
 
-    const offers = await Offer.find(query)
+    const offers = (await Offer.find(query)
       .populate('buyer', 'username email rating reviewCount')
       .populate('listing', 'title price images')
-      .sort({ createdAt: -1 });
-
-    // Check for expired offers and update their status
-    for (const offer of offers) {
-      if (offer.isExpired()) {
-        offer.status = 'expired';
-        await offer.save();
-      }
-    }
+      .populate('listings', 'title price images')
+      .sort({ createdAt: -1 }))
+      .map(offer => withEffectiveStatus(offer, now));
 
     res.json({
       success: true,
@@ -206,14 +121,16 @@ router.get('/sent', auth, async (req, res) => {
   try {
     const buyerId = req.user.id;
     const { status } = req.query;
+    const now = new Date();
 
-    const query = { buyer: buyerId };
-    if (status) query.status = status;
+    const query = { buyer: buyerId, ...(status && statusFilter(status, now)) };
 
-    const offers = await Offer.find(query)
+    const offers = (await Offer.find(query)
       .populate('seller', 'username email')
       .populate('listing', 'title price images status')
-      .sort({ createdAt: -1 });
+      .populate('listings', 'title price images status')
+      .sort({ createdAt: -1 }))
+      .map(offer => withEffectiveStatus(offer, now));
 
     res.json({
       success: true,
@@ -228,11 +145,11 @@ router.get('/sent', auth, async (req, res) => {
 
 // ACCEPT OFFER
 // PUT /api/offers/:id/accept
-router.put('/:id/accept', auth, async (req, res) => {
+router.put('/:id/accept', auth, idempotency, async (req, res) => {
   try {
     const offer = await Offer.findById(req.params.id)
       .populate('listing')
-      .populate('buyer');
+      .populate('buyer', PARTY_FIELDS);
 
     if (!offer) {
       return res.status(404).json({ error: 'Offer not found' });
@@ -247,37 +164,21 @@ router.put('/:id/accept', auth, async (req, res) => {
       return res.status(400).json({ error: 'Offer is no longer pending' });
     }
 
+    // The expiry job records the expiry and tells both sides
     if (offer.isExpired()) {
-      offer.status = 'expired';
-      await offer.save();
       return res.status(400).json({ error: 'Offer has expired' });
     }
 
-    // Accept the offer
-    offer.status = 'accepted';
-    offer.acceptedAt = new Date();
-    await offer.save();
-
-    // Update listing
+    // Accept the offer, hold the listing until the buyer pays and decline
+    // the competing offers - all or nothing (409 if another accept won)
     const listing = offer.listing;
-    listing.status = 'sold';
-    listing.soldTo = offer.buyer._id;
-    listing.soldPrice = offer.offerAmount;
-    listing.soldAt = new Date();
-    await listing.save();
-
-    // Decline all other pending offers for this listing
-    await Offer.updateMany(
-      {
-        listing: listing._id,
-        status: 'pending',
-        _id: { $ne: offer._id }
-      },
-      {
-        status: 'declined',
-        declinedAt: new Date()
-      }
-    );
+    const { paymentDueAt, offer: accepted } = await acceptOffer(offer, { by: req.user.id });
+    offer.set({
+      status: accepted.status,
+      acceptedAt: accepted.acceptedAt,
+      paymentDueAt: accepted.paymentDueAt,
+      history: accepted.history
+    });
 
     // Send acceptance message
     const conversation = await Conversation.findOrCreate(
@@ -290,7 +191,7 @@ router.put('/:id/accept', auth, async (req, res) => {
       sender: offer.seller,
       receiver: offer.buyer._id,
       listing: listing._id,
-      message: `Congratulations! Your offer of $${offer.offerAmount} has been accepted. Please proceed with payment to complete the purchase.`,
+      message: `Congratulations! Your offer of $${offer.offerAmount} has been accepted. Please complete payment by ${paymentDueAt.toUTCString()} to complete the purchase.`,
       isOffer: true,
       offerDetails: {
         offerId: offer._id,
@@ -298,6 +199,7 @@ router.put('/:id/accept', auth, async (req, res) => {
         action: 'accepted'
       }
     });
+    notifyOfferEvent(offer, 'accepted', offer.buyer._id);
 
     res.json({
       success: true,
@@ -307,7 +209,7 @@ router.put('/:id/accept', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Accept offer error:', error);
-    res.status(500).json({ error: 'Failed to accept offer' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to accept offer' });
   }
 });
 
@@ -318,7 +220,7 @@ router.put('/:id/decline', auth, async (req, res) => {
     const { reason } = req.body;
     const offer = await Offer.findById(req.params.id)
       .populate('listing')
-      .populate('buyer');
+      .populate('buyer', PARTY_FIELDS);
 
     if (!offer) {
       return res.status(404).json({ error: 'Offer not found' });
@@ -334,7 +236,7 @@ router.put('/:id/decline', auth, async (req, res) => {
     }
 
     // Decline the offer
-    offer.status = 'declined';
+    offer.setStatus('declined', req.user.id, { message: reason });
     offer.declinedAt = new Date();
     await offer.save();
 
@@ -357,6 +259,7 @@ router.put('/:id/decline', auth, async (req, res) => {
         action: 'declined'
       }
     });
+    notifyOfferEvent(offer, 'declined', offer.buyer._id);
 
     res.json({
       success: true,
@@ -372,12 +275,12 @@ router.put('/:id/decline', auth, async (req, res) => {
 
 // COUNTER OFFER
 // PUT /api/offers/:id/counter
-router.put('/:id/counter', auth, async (req, res) => {
+router.put('/:id/counter', auth, idempotency, async (req, res) => {
   try {
     const { counterAmount, counterMessage } = req.body;
     const offer = await Offer.findById(req.params.id)
       .populate('listing')
-      .populate('buyer');
+      .populate('buyer', PARTY_FIELDS);
 
     if (!offer) {
       return res.status(404).json({ error: 'Offer not found' });
@@ -392,27 +295,49 @@ router.put('/:id/counter', auth, async (req, res) => {
       return res.status(400).json({ error: 'Offer is no longer pending' });
     }
 
+    // The expiry job records the expiry and tells both sides
+    if (offer.isExpired()) {
+      return res.status(400).json({ error: 'Offer has expired' });
+    }
+
+    if (!offer.canCounter()) {
+      return res.status(400).json({
+        error: 'This negotiation has reached its maximum number of rounds. Please accept or decline the offer.'
+      });
+    }
+
     // Validate counter amount
-    if (counterAmount <= offer.offerAmount) {
+    const amount = Number(counterAmount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.status(400).json({ error: 'Counter offer must be a positive number' });
+    }
+
+    if (amount <= offer.offerAmount) {
       return res.status(400).json({ 
         error: 'Counter offer must be higher than the original offer' 
       });
     }
 
-    if (counterAmount > offer.originalPrice) {
+    if (amount > offer.originalPrice) {
       return res.status(400).json({ 
         error: 'Counter offer cannot exceed the listing price' 
       });
     }
 
-    // Update offer with counter
-    offer.status = 'countered';
+    if (offer.counterOffer?.amount && amount > offer.counterOffer.amount) {
+      return res.status(400).json({
+        error: `Counter offer cannot be higher than your previous counter of $${offer.counterOffer.amount}`
+      });
+    }
+
+    // Update offer with counter; the buyer gets a fresh round to respond
     offer.counterOffer = {
-      amount: counterAmount,
+      amount,
       message: counterMessage,
       timestamp: new Date()
     };
-    offer.expiresAt = new Date(+new Date() + 48*60*60*1000); // Reset expiration
+    offer.nextRound();
+    offer.setStatus('countered', req.user.id, { amount, message: counterMessage });
     await offer.save();
 
     // Send counter offer message
@@ -426,14 +351,15 @@ router.put('/:id/counter', auth, async (req, res) => {
       sender: offer.seller,
       receiver: offer.buyer._id,
       listing: offer.listing._id,
-      message: `Counter offer: $${counterAmount}. ${counterMessage || ''}`,
+      message: `Counter offer: $${amount}. ${counterMessage || ''}`,
       isOffer: true,
       offerDetails: {
         offerId: offer._id,
-        amount: counterAmount,
+        amount,
         action: 'countered'
       }
     });
+    notifyOfferEvent(offer, 'countered', offer.buyer._id, { amount });
 
     res.json({
       success: true,
@@ -443,7 +369,10 @@ router.put('/:id/counter', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Counter offer error:', error);
-    res.status(500).json({ error: 'Failed to counter offer' });
+    const invalid = error.name === 'ValidationError';
+    res.status(error.status || (invalid ? 400 : 500)).json({
+      error: error.status || invalid ? error.message : 'Failed to counter offer'
+    });
   }
 });
 
@@ -466,7 +395,7 @@ router.put('/:id/withdraw', auth, async (req, res) => {
       return res.status(400).json({ error: 'Offer cannot be withdrawn' });
     }
 
-    offer.status = 'withdrawn';
+    offer.setStatus('withdrawn', req.user.id);
     await offer.save();
 
     res.json({
@@ -481,14 +410,15 @@ router.put('/:id/withdraw', auth, async (req, res) => {
   }
 });
 
-// RESPOND TO COUNTER OFFER (for buyers)
+// RESPOND TO COUNTER OFFER (for buyers) - accept, decline or counter back
 // PUT /api/offers/:id/respond-counter
-router.put('/:id/respond-counter', auth, async (req, res) => {
+router.put('/:id/respond-counter', auth, idempotency, async (req, res) => {
   try {
-    const { accept } = req.body; // true to accept, false to decline
+    // { accept: true | false } or { counterAmount, counterMessage } to counter back
+    const { accept, counterAmount, counterMessage } = req.body;
     const offer = await Offer.findById(req.params.id)
       .populate('listing')
-      .populate('seller');
+      .populate('seller', PARTY_FIELDS);
 
     if (!offer) {
       return res.status(404).json({ error: 'Offer not found' });
@@ -503,20 +433,82 @@ router.put('/:id/respond-counter', auth, async (req, res) => {
       return res.status(400).json({ error: 'No counter offer to respond to' });
     }
 
-    if (accept) {
-      // Accept counter offer
-      offer.status = 'accepted';
-      offer.acceptedAt = new Date();
-      offer.offerAmount = offer.counterOffer.amount; // Update to counter amount
+    // The expiry job records the expiry and tells both sides
+    if (offer.isExpired()) {
+      return res.status(400).json({ error: 'Counter offer has expired' });
+    }
+
+    if (counterAmount !== undefined) {
+      if (offer.initiatedBy === 'seller') {
+        return res.status(400).json({ error: 'This price-drop offer can only be accepted or declined' });
+      }
+
+      if (!offer.canCounter()) {
+        return res.status(400).json({
+          error: 'This negotiation has reached its maximum number of rounds. Please accept or decline the counter offer.'
+        });
+      }
+
+      if (!(counterAmount > offer.offerAmount)) {
+        return res.status(400).json({
+          error: `Your counter must be higher than your previous offer of $${offer.offerAmount}`
+        });
+      }
+
+      if (counterAmount >= offer.counterOffer.amount) {
+        return res.status(400).json({
+          error: `Your counter must be lower than the seller's counter of $${offer.counterOffer.amount}; accept it instead`
+        });
+      }
+
+      // Back to the seller with the buyer's new amount
+      offer.offerAmount = counterAmount;
+      offer.nextRound();
+      offer.setStatus('pending', req.user.id, { action: 'countered', amount: counterAmount, message: counterMessage });
       await offer.save();
 
-      // Update listing
+      const conversation = await Conversation.findOrCreate(
+        [offer.buyer, offer.seller._id],
+        offer.listing._id
+      );
+
+      await Message.create({
+        conversation: conversation._id,
+        sender: offer.buyer,
+        receiver: offer.seller._id,
+        listing: offer.listing._id,
+        message: `Counter offer: $${counterAmount}. ${counterMessage || ''}`,
+        isOffer: true,
+        offerDetails: {
+          offerId: offer._id,
+          amount: counterAmount,
+          action: 'countered'
+        }
+      });
+      notifyOfferEvent(offer, 'countered', offer.seller._id, { amount: counterAmount });
+
+      return res.json({
+        success: true,
+        offer,
+        message: 'Counter offer sent'
+      });
+    }
+
+    if (accept) {
+      // Accept counter offer and hold the listing until the buyer pays
       const listing = offer.listing;
-      listing.status = 'sold';
-      listing.soldTo = offer.buyer;
-      listing.soldPrice = offer.counterOffer.amount;
-      listing.soldAt = new Date();
-      await listing.save();
+      const { paymentDueAt, offer: accepted } = await acceptOffer(offer, {
+        by: req.user.id,
+        fromStatus: 'countered',
+        amount: offer.counterOffer.amount // Update to counter amount
+      });
+      offer.set({
+        status: accepted.status,
+        acceptedAt: accepted.acceptedAt,
+        offerAmount: accepted.offerAmount,
+        paymentDueAt: accepted.paymentDueAt,
+        history: accepted.history
+      });
 
       // Send acceptance message
       const conversation = await Conversation.findOrCreate(
@@ -529,7 +521,7 @@ router.put('/:id/respond-counter', auth, async (req, res) => {
         sender: offer.buyer,
         receiver: offer.seller._id,
         listing: listing._id,
-        message: `Counter offer of $${offer.counterOffer.amount} accepted! Ready to proceed with payment.`,
+        message: `Counter offer of $${offer.counterOffer.amount} accepted! Payment is due by ${paymentDueAt.toUTCString()}.`,
         isOffer: true,
         offerDetails: {
           offerId: offer._id,
@@ -537,11 +529,13 @@ router.put('/:id/respond-counter', auth, async (req, res) => {
           action: 'accepted'
         }
       });
+      notifyOfferEvent(offer, 'accepted', offer.seller._id, { amount: offer.counterOffer.amount });
     } else {
       // Decline counter offer
-      offer.status = 'declined';
+      offer.setStatus('declined', req.user.id);
       offer.declinedAt = new Date();
       await offer.save();
+      notifyOfferEvent(offer, 'declined', offer.seller._id, { amount: offer.counterOffer.amount });
     }
 
     res.json({
@@ -552,7 +546,73 @@ router.put('/:id/respond-counter', auth, async (req, res) => {
 
   } catch (error) {
     console.error('Respond to counter error:', error);
-    res.status(500).json({ error: 'Failed to respond to counter offer' });
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to respond to counter offer' });
+  }
+});
+
+// CHECKOUT ACCEPTED OFFER (for buyers)
+// POST /api/offers/:id/checkout
+router.post('/:id/checkout', auth, async (req, res) => {
+  try {
+    const { shippingMethod = 'pickup', addressId } = req.body;
+    const offer = await Offer.findById(req.params.id).populate('listing');
+
+    if (!offer) {
+      return res.status(404).json({ error: 'Offer not found' });
+    }
+
+    // Verify buyer
+    if (offer.buyer.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (offer.status !== 'accepted') {
+      return res.status(400).json({ error: 'Only accepted offers can be checked out' });
+    }
+
+    // Charges exactly the accepted amount (plus shipping); no promo codes on offers
+    let pi, quote;
+    if (offer.isBundle) {
+      const listings = await Product.find({ _id: { $in: offer.listings } });
+      if (listings.length !== offer.listings.length) {
+        return res.status(400).json({ error: 'A listing in this bundle has been removed' });
+      }
+      ({ pi, quote } = await createBundlePaymentIntent({
+        listings,
+        offerId: offer._id,
+        buyerId: req.user.id,
+        shippingMethod,
+        addressId
+      }));
+    } else {
+      const listing = offer.listing;
+      if (!listing.isReservedFor(req.user.id) || String(listing.reservation.offer) !== String(offer._id)) {
+        return res.status(400).json({ error: 'The payment window for this offer has closed' });
+      }
+
+      ({ pi, quote } = await createListingPaymentIntent({
+        listing,
+        buyerId: req.user.id,
+        shippingMethod,
+        addressId
+      }));
+    }
+
+    res.json({
+      success: true,
+      clientSecret: pi.client_secret,
+      paymentIntentId: pi.id,
+      amount: quote.itemPrice,
+      shipping: quote.shipping,
+      tax: quote.tax.amount,
+      finalAmount: pi.amount / 100,
+      paymentDueAt: offer.paymentDueAt,
+      ...(offer.isBundle && { listings: quote.items.map(i => ({ listing: i.listing._id, title: i.listing.title, price: i.price })) })
+    });
+
+  } catch (error) {
+    console.error('Offer checkout error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to start checkout' });
   }
 });
 
@@ -564,7 +624,7 @@ router.get('/stats', auth, async (req, res) => {
 
     const [sellerStats, buyerStats] = await Promise.all([
       Offer.aggregate([
-        { $match: { seller: mongoose.Types.ObjectId(userId) } },
+        { $match: { seller: new mongoose.Types.ObjectId(userId) } },
         {
           $group: {
             _id: '$status',
@@ -583,7 +643,7 @@ router.get('/stats', auth, async (req, res) => {
         }
       ]),
       Offer.aggregate([
-        { $match: { buyer: mongoose.Types.ObjectId(userId) } },
+        { $match: { buyer: new mongoose.Types.ObjectId(userId) } },
         {
           $group: {
             _id: '$status',
@@ -606,4 +666,21 @@ router.get('/stats', auth, async (req, res) => {
   }
 });
 
+// GET OFFER INSIGHTS PER LISTING (for sellers)
+// GET /api/offers/insights?listingId=
+router.get('/insights', auth, async (req, res) => {
+  try {
+    const insights = await getListingInsights(req.user.id, { listingId: req.query.listingId });
+
+    res.json({
+      success: true,
+      listings: insights
+    });
+
+  } catch (error) {
+    console.error('Get offer insights error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to get offer insights' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,402 @@
+// backend/routes/orders.js
+
+const express = require('express');
+const router = express.Router();
+const Order = require('../models/Order');
+const auth = require('../middleware/auth');
+const { markDelivered, releasePayout } = require('../services/escrowService');
+const { openBuyerDispute } = require('../services/disputeService');
+const { refundOrder } = require('../services/refundService');
+const { buildInvoice, renderInvoiceHtml, renderInvoicePdf, loadInvoiceOrder } = require('../services/invoiceService');
+const {
+  quoteShippingRates,
+  purchaseShippingLabel,
+  markShipped,
+  refreshTracking
+} = require('../services/shippingService');
+
+// GET PURCHASES (for buyers)
+// GET /api/orders/purchases
+router.get('/purchases', auth, async (req, res) => {
+  try {
+    const query = { buyer: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const orders = await Order.find(query)
+      .populate('seller', 'username avatar rating')
+      .populate('listing', 'title price images')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, orders });
+  } catch (error) {
+    console.error('Get purchases error:', error);
+    res.status(500).json({ error: 'Failed to get orders' });
+  }
+});
+
+// GET SALES (for sellers)
+// GET /api/orders/sales
+router.get('/sales', auth, async (req, res) => {
+  try {
+    const query = { seller: req.user.id };
+    if (req.query.status) query.status = req.query.status;
+
+    const orders = await Order.find(query)
+      .populate('buyer', 'username avatar')
+      .populate('listing', 'title price images')
+      .sort({ createdAt: -1 });
+
+    res.json({ success: true, orders });
+  } catch (error) {
+    console.error('Get sales error:', error);
+    res.status(500).json({ error: 'Failed to get orders' });
+  }
+});
+
+// GET SINGLE ORDER (buyer or seller)
+// GET /api/orders/:id
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id)
+      .populate('buyer', 'username avatar')
+      .populate('seller', 'username avatar rating')
+      .populate('listing', 'title price images');
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const userId = req.user.id;
+    if (order.buyer._id.toString() !== userId && order.seller._id.toString() !== userId) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    res.json({ success: true, order });
+  } catch (error) {
+    console.error('Get order error:', error);
+    res.status(500).json({ error: 'Failed to get order' });
+  }
+});
+
+// DOWNLOAD INVOICE (buyer or seller)
+// GET /api/orders/:id/invoice?format=pdf|html (default pdf)
+router.get('/:id/invoice', auth, async (req, res) => {
+  try {
+    const order = await loadInvoiceOrder(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const userId = req.user.id;
+    if (order.buyer._id.toString() !== userId && order.seller._id.toString() !== userId) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const invoice = buildInvoice(order);
+
+    if (req.query.format === 'html') {
+      return res.type('html').send(renderInvoiceHtml(invoice));
+    }
+
+    const pdf = await renderInvoicePdf(invoice);
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="invoice-${invoice.number}.pdf"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// MARK SHIPPED (for sellers)
+// PUT /api/orders/:id/ship
+router.put('/:id/ship', auth, async (req, res) => {
+  try {
+    const { carrier, trackingNumber } = req.body;
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.seller.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    await markShipped(order, req.user.id, { carrier, trackingNumber });
+
+    res.json({ success: true, order, message: 'Order marked as shipped' });
+  } catch (error) {
+    console.error('Ship order error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update order' });
+  }
+});
+
+// QUOTE SHIPPING RATES (for sellers)
+// POST /api/orders/:id/shipping/rates
+// Body: { parcel: { weightOz, lengthIn, widthIn, heightIn } }
+router.post('/:id/shipping/rates', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.seller.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const { carrier, rates } = await quoteShippingRates(order, req.body.parcel);
+
+    res.json({ success: true, carrier, rates });
+  } catch (error) {
+    console.error('Quote shipping error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to quote shipping' });
+  }
+});
+
+// BUY SHIPPING LABEL (for sellers) - marks the order shipped
+// POST /api/orders/:id/shipping/label
+// Body: { parcel, rateId } (rateId from the rates quote)
+router.post('/:id/shipping/label', auth, async (req, res) => {
+  try {
+    const { parcel, rateId } = req.body;
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.seller.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    await purchaseShippingLabel(order, req.user.id, { parcel, rateId });
+
+    res.status(201).json({ success: true, order, message: 'Label purchased and order marked as shipped' });
+  } catch (error) {
+    console.error('Buy label error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to buy label' });
+  }
+});
+
+// REFRESH TRACKING (buyer or seller)
+// POST /api/orders/:id/tracking/refresh
+router.post('/:id/tracking/refresh', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const userId = req.user.id;
+    if (order.buyer.toString() !== userId && order.seller.toString() !== userId) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    await refreshTracking(order);
+
+    res.json({
+      success: true,
+      trackingStatus: order.shipping.trackingStatus,
+      trackingEvents: order.shipping.trackingEvents,
+      status: order.status
+    });
+  } catch (error) {
+    console.error('Refresh tracking error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to refresh tracking' });
+  }
+});
+
+// MARK DELIVERED (for buyers) - starts the escrow window
+// PUT /api/orders/:id/deliver
+router.put('/:id/deliver', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.buyer.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    markDelivered(order, req.user.id);
+    await order.save();
+
+    res.json({ success: true, order, message: 'Order marked as delivered' });
+  } catch (error) {
+    console.error('Deliver order error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update order' });
+  }
+});
+
+// CONFIRM RECEIPT (for buyers, after delivery) - releases the seller's payout
+// PUT /api/orders/:id/complete
+router.put('/:id/complete', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.buyer.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (!order.canTransitionTo('completed')) {
+      return res.status(400).json({ error: 'Order has not been delivered yet' });
+    }
+
+    await releasePayout(order, req.user.id, 'Buyer confirmed receipt');
+
+    res.json({ success: true, order, message: 'Order completed' });
+  } catch (error) {
+    console.error('Complete order error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update order' });
+  }
+});
+
+// REPORT AN ISSUE (for buyers, during the escrow window) - opens a dispute
+// POST /api/orders/:id/issue
+router.post('/:id/issue', auth, async (req, res) => {
+  try {
+    const { reason, description } = req.body;
+    if (!reason) {
+      return res.status(400).json({ error: 'Issue reason is required' });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.buyer.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    const dispute = await openBuyerDispute(order, req.user.id, { reason, description });
+
+    res.status(201).json({ success: true, order, dispute, message: 'Issue reported. Payout is on hold until it is resolved.' });
+  } catch (error) {
+    console.error('Open issue error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to report issue' });
+  }
+});
+
+// ISSUE REFUND (for sellers) - full when amount is omitted
+// POST /api/orders/:id/refunds
+router.post('/:id/refunds', auth, async (req, res) => {
+  try {
+    const { amount, reason } = req.body;
+    if (!reason) {
+      return res.status(400).json({ error: 'Refund reason is required' });
+    }
+
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.seller.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    await refundOrder(order, { amount, reason, by: req.user.id, role: 'seller' });
+
+    res.status(201).json({ success: true, order, message: 'Refund issued' });
+  } catch (error) {
+    console.error('Refund order error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to refund order' });
+  }
+});
+
+// REQUEST CANCELLATION (for buyers, before shipment)
+// POST /api/orders/:id/cancel-request
+router.post('/:id/cancel-request', auth, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.buyer.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (order.status !== 'paid') {
+      return res.status(400).json({ error: 'Orders can only be cancelled before they ship' });
+    }
+
+    if (order.cancellationRequest && order.cancellationRequest.status === 'pending') {
+      return res.status(400).json({ error: 'A cancellation request is already pending' });
+    }
+
+    order.cancellationRequest = {
+      status: 'pending',
+      reason: req.body.reason,
+      requestedAt: new Date()
+    };
+    await order.save();
+
+    res.status(201).json({ success: true, order, message: 'Cancellation requested' });
+  } catch (error) {
+    console.error('Request cancellation error:', error);
+    res.status(500).json({ error: 'Failed to request cancellation' });
+  }
+});
+
+// RESPOND TO CANCELLATION (for sellers) - approving refunds the buyer in full
+// PUT /api/orders/:id/cancel-request
+router.put('/:id/cancel-request', auth, async (req, res) => {
+  try {
+    const { approve } = req.body; // true to approve, false to decline
+    const order = await Order.findById(req.params.id);
+
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (order.seller.toString() !== req.user.id) {
+      return res.status(403).json({ error: 'Not authorized' });
+    }
+
+    if (!order.cancellationRequest || order.cancellationRequest.status !== 'pending') {
+      return res.status(400).json({ error: 'No cancellation request to respond to' });
+    }
+
+    order.cancellationRequest.status = approve ? 'approved' : 'declined';
+    order.cancellationRequest.respondedAt = new Date();
+
+    if (approve) {
+      await refundOrder(order, {
+        reason: order.cancellationRequest.reason || 'Cancelled at buyer\'s request',
+        by: req.user.id,
+        role: 'seller'
+      });
+    } else {
+      await order.save();
+    }
+
+    res.json({
+      success: true,
+      order,
+      message: approve ? 'Order cancelled and refunded' : 'Cancellation declined'
+    });
+  } catch (error) {
+    console.error('Respond to cancellation error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to respond to cancellation' });
+  }
+});
+
+module.exports = router;
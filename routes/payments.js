@@ -4,114 +4,72 @@ const router = express.Router();
 
 const stripe = require('../config/stripe');                 // configured client
 const Product = require('../models/Product');               // your Product model
-const PromotionCode = require('../models/PromotionCode');   // promo model
 const auth = require('../middleware/auth');                 // user auth
-
-// Helper: compute promo application against a listing
-async function computePromotion({ code, listing }) {
-  if (!code) return { applied: false, finalPrice: listing.price, discountAmount: 0, percent: 0, promotion: null };
-
-  const now = new Date();
-  const promotion = await PromotionCode.findOne({
-    code: String(code).toUpperCase(),
-    active: true,
-    validFrom: { $lte: now },
-    validUntil: { $gte: now },
-  });
-
-  if (!promotion) {
-    return { applied: false, reason: 'Invalid or expired code', finalPrice: listing.price, discountAmount: 0, percent: 0, promotion: null };
-  }
-
-  if (promotion.usageLimit && promotion.timesUsed >= promotion.usageLimit) {
-    return { applied: false, reason: 'Code usage limit reached', finalPrice: listing.price, discountAmount: 0, percent: 0, promotion };
-  }
-
-  if (!listing.acceptsPromotionalDiscounts) {
-    return { applied: false, reason: 'Listing does not accept discounts', finalPrice: listing.price, discountAmount: 0, percent: 0, promotion };
-  }
-
-  if (listing.price < (promotion.minOrderAmount || 0)) {
-    return { applied: false, reason: `Minimum order of $${promotion.minOrderAmount} required`, finalPrice: listing.price, discountAmount: 0, percent: 0, promotion };
-  }
-
-  const effectivePercent = Math.min(promotion.discountPercent, listing.maxDiscountPercent || 10);
-  const discountAmount = Math.round(listing.price * (effectivePercent / 100) * 100) / 100;
-  const finalPrice = Math.max(0, Math.round((listing.price - discountAmount) * 100) / 100);
-
-  return { applied: true, finalPrice, discountAmount, percent: effectivePercent, promotion };
-}
+const idempotency = require('../middleware/idempotency');   // Idempotency-Key replay
+const { createOrderFromPaymentIntent } = require('../services/orderService');
+const { recordAndProcess } = require('../services/stripeWebhooks');
+const { createListingPaymentIntent } = require('../services/checkoutService');
 
 /**
  * POST /api/payments/create-payment-intent
  * Body:
- *  - listingId (preferred)
+ *  - listingId
  *  - code (optional promo code)
  *  - currency? default 'usd'
- *  - amount? (fallback only if no listingId; expects dollars)
+ *  - shippingMethod? 'shipping' | 'pickup' (default 'pickup')
+ *  - addressId? saved address to ship to (default address if omitted; shipping only)
+ * Headers:
+ *  - Idempotency-Key? retries with the same key get the first response back
+ * Notes:
+ *  - Requires auth; the amount is always priced server-side (listing price or the
+ *    buyer's accepted offer while the listing is reserved for them, plus listing
+ *    shipping, minus promo, plus sales tax for the delivery or pickup location)
  */
-router.post('/create-payment-intent', async (req, res) => {
+router.post('/create-payment-intent', auth, idempotency, async (req, res) => {
   try {
-    const { listingId, code, currency = 'usd', amount } = req.body;
-
-    let baseAmount;
-    let listing = null;
-    let promoResult = { applied: false, finalPrice: 0, discountAmount: 0, percent: 0, promotion: null };
-
-    if (listingId) {
-      listing = await Product.findById(listingId);
-      if (!listing) return res.status(404).json({ error: 'Listing not found' });
-      if (listing.status && !['available', 'pending'].includes(listing.status)) {
-        return res.status(400).json({ error: 'Listing not available for purchase' });
-      }
-
-      promoResult = await computePromotion({ code, listing });
-      baseAmount = promoResult.finalPrice;
-    } else {
-      // fallback direct amount path (no listing)
-      if (!amount || amount <= 0) return res.status(400).json({ error: 'Valid amount is required' });
-      baseAmount = Number(amount);
-    }
-
-    const amountInCents = Math.max(0, Math.round(baseAmount * 100));
-
-    const pi = await stripe.paymentIntents.create({
-      amount: amountInCents,
+    const { listingId, code, currency = 'usd', shippingMethod = 'pickup', addressId } = req.body;
+    if (!listingId) return res.status(400).json({ error: 'listingId is required' });
+
+    const listing = await Product.findById(listingId);
+    if (!listing) return res.status(404).json({ error: 'Listing not found' });
+
+    const { pi, quote } = await createListingPaymentIntent({
+      listing,
+      buyerId: req.user.id,
+      code,
+      shippingMethod,
+      addressId,
       currency,
-      automatic_payment_methods: { enabled: true },
-      metadata: {
-        ...(listing ? { listingId: String(listing._id) } : {}),
-        ...(promoResult.applied && promoResult.promotion
-          ? {
-              promoId: String(promoResult.promotion._id),
-              promoCode: promoResult.promotion.code,
-              promoPercent: String(promoResult.percent),
-              promoDiscount: String(promoResult.discountAmount),
-            }
-          : {}),
-        source: 'summit-soles',
-      },
     });
+    const { promo } = quote;
 
     res.json({
       clientSecret: pi.client_secret,
       paymentIntentId: pi.id,
       currency,
-      amount: listing ? listing.price : baseAmount,
-      finalAmount: amountInCents / 100,
-      appliedPromotion: promoResult.applied
+      amount: quote.itemPrice,
+      shipping: quote.shipping,
+      tax: {
+        amount: quote.tax.amount,
+        rate: quote.tax.rate,
+        jurisdiction: quote.tax.jurisdiction,
+      },
+      finalAmount: pi.amount / 100,
+      fromOffer: !!quote.offerId,
+      appliedPromotion: promo.applied
         ? {
-            code: promoResult.promotion.code,
-            name: promoResult.promotion.name,
-            percent: promoResult.percent,
-            discount: promoResult.discountAmount,
+            code: promo.promotion.code,
+            name: promo.promotion.name,
+            percent: promo.percent,
+            discount: promo.discountAmount,
           }
         : null,
+      ...(code && !promo.applied ? { promotionError: promo.reason } : {}),
       message: '✅ Payment intent created',
     });
   } catch (err) {
     console.error('Create PI error:', err);
-    res.status(500).json({ error: err.message || 'Stripe error' });
+    res.status(err.status || 500).json({ error: err.message || 'Stripe error' });
   }
 });
 
@@ -120,7 +78,7 @@ router.post('/create-payment-intent', async (req, res) => {
  * Body:
  *  - paymentIntentId
  * Notes:
- *  - Requires auth, verifies Stripe status, bumps promo + listing stats if present
+ *  - Requires auth, verifies Stripe status and creates the Order (idempotent per intent)
  */
 router.post('/confirm-payment', auth, async (req, res) => {
   try {
@@ -130,48 +88,50 @@ router.post('/confirm-payment', auth, async (req, res) => {
     const pi = await stripe.paymentIntents.retrieve(paymentIntentId);
     if (!pi) return res.status(404).json({ error: 'PaymentIntent not found' });
 
-    // You can also confirm server-side if you want, but client usually confirms
-    if (pi.status !== 'succeeded') {
-      return res.status(400).json({ error: `Payment not complete (status: ${pi.status})` });
-    }
-
-    const { promoId, promoDiscount, listingId } = pi.metadata || {};
-
-    // bump promo usage if present
-    if (promoId) {
-      const promo = await PromotionCode.findById(promoId);
-      if (promo) {
-        // guard usageLimit
-        if (!promo.usageLimit || promo.timesUsed < promo.usageLimit) {
-          promo.timesUsed += 1;
-          await promo.save();
-        }
-      }
-    }
-
-    // bump listing discount stats if present
-    if (listingId) {
-      const listing = await Product.findById(listingId);
-      if (listing) {
-        const discountVal = Number(promoDiscount || 0);
-        listing.discountStats = listing.discountStats || {};
-        listing.discountStats.timesDiscountApplied = (listing.discountStats.timesDiscountApplied || 0) + (discountVal > 0 ? 1 : 0);
-        listing.discountStats.totalDiscountValue = (listing.discountStats.totalDiscountValue || 0) + discountVal;
-        listing.discountStats.lastDiscountUsed = new Date();
-        await listing.save();
-      }
-    }
-
-    // TODO: create Order record here if/when you add an Order model
+    // Creates the order, marks the listing sold and applies promo/listing/user stats
+    const { order } = await createOrderFromPaymentIntent(pi, { buyerId: req.user.id });
 
     res.json({
       success: true,
       message: 'Payment confirmed',
       paymentIntentId,
+      order,
     });
   } catch (err) {
     console.error('Confirm PI error:', err);
-    res.status(500).json({ error: err.message || 'Stripe error' });
+    res.status(err.status || 500).json({ error: err.message || 'Stripe error' });
+  }
+});
+
+/**
+ * POST /api/payments/webhook
+ * Stripe webhook endpoint. server.js mounts express.raw() on this path so the
+ * signature can be checked against the exact bytes Stripe sent.
+ * Notes:
+ *  - Each event id is stored once; re-deliveries of processed events are acknowledged without re-running
+ *  - A handler error answers 500 so Stripe retries the delivery
+ */
+router.post('/webhook', async (req, res) => {
+  const secret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!secret) {
+    console.error('❌ STRIPE_WEBHOOK_SECRET is not set');
+    return res.status(500).json({ error: 'Webhook not configured' });
+  }
+
+  let event;
+  try {
+    event = stripe.webhooks.constructEvent(req.body, req.header('stripe-signature'), secret);
+  } catch (err) {
+    console.warn('Webhook signature error:', err.message);
+    return res.status(400).json({ error: `Webhook signature verification failed: ${err.message}` });
+  }
+
+  try {
+    const { event: stored, duplicate } = await recordAndProcess(event);
+    res.json({ received: true, duplicate, status: stored.status });
+  } catch (err) {
+    console.error(`Webhook ${event.type} error:`, err);
+    res.status(500).json({ error: err.message || 'Webhook handler failed' });
   }
 });
 
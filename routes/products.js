@@ -5,6 +5,8 @@ const router = express.Router();
 const Product = require('../models/Product');
 const auth = require('../middleware/auth');           // your auth middleware
 const upload = require('../middleware/upload');       // multer / cloudinary adaptor
+const idempotency = require('../middleware/idempotency');
+const { createOffer } = require('../services/offerService');
 
 // -------------------------------
 // helpers
@@ -12,6 +14,8 @@ const upload = require('../middleware/upload');       // multer / cloudinary ada
 const parseBool = (v) => (typeof v === 'boolean' ? v : v === 'true' || v === '1');
 const parseNum = (v) => (v === undefined || v === null || v === '' ? undefined : Number(v));
 const clamp = (n, min, max) => Math.min(Math.max(n, min), max);
+// objects arrive as JSON strings in multipart forms
+const parseJson = (v) => (typeof v === 'string' ? (v ? JSON.parse(v) : undefined) : v);
 
 // -------------------------------
 // ROUTE ORDER: specific -> generic
@@ -173,6 +177,7 @@ router.post('/', auth, upload.array('images', 8), async (req, res) => {
       shippingPrice: parseNum(req.body.shippingPrice),
       minimumOffer: parseNum(req.body.minimumOffer),
       autoAcceptPrice: parseNum(req.body.autoAcceptPrice),
+      offerRules: parseJson(req.body.offerRules),
 
       // discounts (NEW)
       acceptsPromotionalDiscounts: parseBool(req.body.acceptsPromotionalDiscounts),
@@ -242,6 +247,7 @@ router.put('/:id', auth, upload.array('newImages', 8), async (req, res) => {
       ...(req.body.shippingPrice !== undefined && { shippingPrice: parseNum(req.body.shippingPrice) }),
       ...(req.body.minimumOffer !== undefined && { minimumOffer: parseNum(req.body.minimumOffer) }),
       ...(req.body.autoAcceptPrice !== undefined && { autoAcceptPrice: parseNum(req.body.autoAcceptPrice) }),
+      ...(req.body.offerRules !== undefined && { offerRules: parseJson(req.body.offerRules) }),
 
       // discounts (NEW)
       ...(req.body.acceptsPromotionalDiscounts !== undefined && {
@@ -319,37 +325,35 @@ router.post('/:id/favorite', auth, async (req, res) => {
   }
 });
 
-// POST /api/products/:id/offer - submit offer
-router.post('/:id/offer', auth, async (req, res) => {
+// POST /api/products/:id/offer - submit offer (same flow as POST /api/offers)
+router.post('/:id/offer', auth, idempotency, async (req, res) => {
   try {
-    const product = await Product.findById(req.params.id).populate('seller', 'username email');
-    if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
-
-    if (!product.acceptsOffers) {
-      return res.status(400).json({ success: false, message: 'This product does not accept offers' });
-    }
-
-    const offerAmount = parseNum(req.body.amount);
-    if (!offerAmount || offerAmount <= 0) {
-      return res.status(400).json({ success: false, message: 'Offer must be a positive number' });
-    }
-
-    if (product.minimumOffer && offerAmount < product.minimumOffer) {
-      return res.status(400).json({ success: false, message: `Offer must be at least $${product.minimumOffer}` });
-    }
-
-    if (product.autoAcceptPrice && offerAmount >= product.autoAcceptPrice) {
-      // TODO: create order/transaction
-      return res.json({ success: true, message: 'Offer auto-accepted!', autoAccepted: true });
-    }
-
-    // TODO: create Offer record here
-    // await Offer.create({ product: product._id, buyer: req.user.id, amount: offerAmount, message: req.body.message });
+    const { offer, autoResponse } = await createOffer({
+      buyerId: req.user.id,
+      listingIds: [req.params.id],
+      offerAmount: parseNum(req.body.amount),
+      message: req.body.message
+    });
 
-    res.json({ success: true, message: 'Offer submitted successfully', autoAccepted: false });
+    const messages = {
+      accept: 'Offer auto-accepted!',
+      decline: 'Offer declined: below the minimum acceptable price',
+      counter: 'The seller countered your offer'
+    };
+    res.status(201).json({
+      success: true,
+      message: messages[autoResponse] || 'Offer submitted successfully',
+      autoAccepted: autoResponse === 'accept',
+      autoResponse,
+      offer
+    });
   } catch (error) {
     console.error('Error making offer:', error);
-    res.status(500).json({ success: false, message: 'Error making offer', error: error.message });
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error making offer',
+      error: error.message
+    });
   }
 });
 
@@ -0,0 +1,230 @@
+// backend/routes/sellers.js
+
+const express = require('express');
+const router = express.Router();
+const stripe = require('../config/stripe');
+const marketplace = require('../config/marketplace');
+const User = require('../models/User');
+const auth = require('../middleware/auth');
+const { applyAccountStatus } = require('../services/stripeConnect');
+const { getEarnings, exportTransactionsCsv } = require('../services/earningsService');
+
+// @route   POST /api/sellers/me/stripe/account
+// @desc    Create the seller's Stripe Express account (no-op if it exists)
+router.post('/me/stripe/account', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.stripeAccountId) {
+      const account = await stripe.accounts.create({
+        type: 'express',
+        email: user.email,
+        capabilities: {
+          card_payments: { requested: true },
+          transfers: { requested: true }
+        },
+        metadata: { userId: String(user._id) }
+      });
+
+      user.stripeAccountId = account.id;
+      applyAccountStatus(user, account);
+      await user.save();
+    }
+
+    res.json({
+      success: true,
+      status: user.stripeAccountStatus
+    });
+  } catch (error) {
+    console.error('Create Stripe account error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating payout account',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/sellers/me/stripe/account-link
+// @desc    Get a Stripe-hosted onboarding link for the seller's account
+router.post('/me/stripe/account-link', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user || !user.stripeAccountId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Create a payout account first'
+      });
+    }
+
+    const link = await stripe.accountLinks.create({
+      account: user.stripeAccountId,
+      refresh_url: `${marketplace.clientUrl}/seller/payouts?refresh=1`,
+      return_url: `${marketplace.clientUrl}/seller/payouts?done=1`,
+      type: 'account_onboarding'
+    });
+
+    res.json({
+      success: true,
+      url: link.url,
+      expiresAt: new Date(link.expires_at * 1000)
+    });
+  } catch (error) {
+    console.error('Create account link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating onboarding link',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/sellers/me/stripe/status
+// @desc    Refresh payout status from Stripe
+router.get('/me/stripe/status', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.stripeAccountId) {
+      return res.json({
+        success: true,
+        connected: false,
+        status: user.stripeAccountStatus
+      });
+    }
+
+    const account = await stripe.accounts.retrieve(user.stripeAccountId);
+    applyAccountStatus(user, account);
+    await user.save();
+
+    res.json({
+      success: true,
+      connected: true,
+      status: user.stripeAccountStatus,
+      feePercent: marketplace.feePercent
+    });
+  } catch (error) {
+    console.error('Refresh Stripe status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error refreshing payout status',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/sellers/me/earnings?from=&to=&interval=day|week|month
+// @desc    Earnings totals, pending vs released payouts and a time series
+router.get('/me/earnings', auth, async (req, res) => {
+  try {
+    const { from, to, interval } = req.query;
+    const earnings = await getEarnings(req.user.id, { from, to, interval });
+
+    res.json({
+      success: true,
+      ...earnings
+    });
+  } catch (error) {
+    console.error('Get earnings error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error fetching earnings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/sellers/me/earnings/export?from=&to=
+// @desc    CSV of every sale and refund in the date range
+router.get('/me/earnings/export', auth, async (req, res) => {
+  try {
+    const { from, to } = req.query;
+    const csv = await exportTransactionsCsv(req.user.id, { from, to });
+
+    const suffix = [from, to].filter(Boolean).join('_to_') || 'all';
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="earnings-${suffix.replace(/[^0-9A-Za-z_-]/g, '')}.csv"`
+    });
+    res.send(csv);
+  } catch (error) {
+    console.error('Export earnings error:', error);
+    res.status(error.status || 500).json({
+      success: false,
+      message: error.status ? error.message : 'Error exporting earnings',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/sellers/me/offer-rules
+// @desc    Account-wide rules applied to offers on the seller's listings
+router.get('/me/offer-rules', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('offerRules');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      offerRules: user.offerRules || {}
+    });
+  } catch (error) {
+    console.error('Get offer rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching offer rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/sellers/me/offer-rules
+// @desc    Replace the account-wide offer rules (send {} to clear them);
+//          a listing's own offerRules still take precedence
+router.put('/me/offer-rules', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const { minAccountAgeDays, expiryHours, counterBand, trustedBuyers } = req.body || {};
+    user.offerRules = { minAccountAgeDays, expiryHours, counterBand, trustedBuyers };
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Offer rules updated',
+      offerRules: user.offerRules
+    });
+  } catch (error) {
+    console.error('Update offer rules error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Error updating offer rules',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,22 @@
+// backend/routes/shipping.js
+
+const express = require('express');
+const router = express.Router();
+const { handleCarrierWebhook } = require('../services/shippingService');
+
+// CARRIER TRACKING WEBHOOK
+// POST /api/shipping/webhook/:carrier
+// Each carrier adapter verifies and parses its own payload
+router.post('/webhook/:carrier', async (req, res) => {
+  try {
+    const order = await handleCarrierWebhook(req.params.carrier, req);
+
+    // Unknown tracking numbers are acknowledged so the carrier stops retrying
+    res.json({ received: true, matched: Boolean(order) });
+  } catch (error) {
+    console.error('Carrier webhook error:', error);
+    res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to process tracking update' });
+  }
+});
+
+module.exports = router;
@@ -3,14 +3,264 @@
 const express = require('express');
 const router = express.Router();
 const User = require('../models/User');
+const Contribution = require('../models/Contribution');
 const auth = require('../middleware/auth');
 
+const MAX_ADDRESSES = 10;
+
+const ADDRESS_FIELDS = ['label', 'name', 'street1', 'street2', 'city', 'state', 'zipCode', 'country'];
+const REQUIRED_ADDRESS_FIELDS = ['street1', 'city', 'state', 'zipCode', 'country'];
+
+// Pick + trim address fields from a request body; returns { address, error }
+function parseAddress(body, { partial = false } = {}) {
+  const address = {};
+  ADDRESS_FIELDS.forEach(field => {
+    if (body[field] !== undefined) address[field] = String(body[field]).trim();
+  });
+
+  if (!partial && !address.country) address.country = 'US';
+
+  for (const field of REQUIRED_ADDRESS_FIELDS) {
+    if ((!partial || address[field] !== undefined) && !address[field]) {
+      return { error: `${field} is required` };
+    }
+  }
+
+  if (address.zipCode && (address.country || 'US').toUpperCase() === 'US' &&
+      !/^\d{5}(-\d{4})?$/.test(address.zipCode)) {
+    return { error: 'Please enter a valid ZIP code' };
+  }
+
+  return { address };
+}
+
+// @route   GET /api/users/me/addresses
+// @desc    List my shipping addresses (requires auth)
+router.get('/me/addresses', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id).select('addresses');
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      addresses: user.addresses
+    });
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching addresses',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   POST /api/users/me/addresses
+// @desc    Add a shipping address (requires auth)
+router.post('/me/addresses', auth, async (req, res) => {
+  try {
+    const { address, error } = parseAddress(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    if (user.addresses.length >= MAX_ADDRESSES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_ADDRESSES} addresses`
+      });
+    }
+
+    user.addresses.push(address);
+    const added = user.addresses[user.addresses.length - 1];
+
+    // First address is always the default
+    if (req.body.isDefault === true || req.body.isDefault === 'true' || user.addresses.length === 1) {
+      user.setDefaultAddress(added._id);
+    }
+    await user.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Address added',
+      address: added,
+      addresses: user.addresses
+    });
+  } catch (error) {
+    console.error('Add address error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Error adding address',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/users/me/addresses/:addressId
+// @desc    Update a shipping address (requires auth)
+router.put('/me/addresses/:addressId', auth, async (req, res) => {
+  try {
+    const { address, error } = parseAddress(req.body, { partial: true });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const user = await User.findById(req.user.id);
+    const existing = user.addresses.id(req.params.addressId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    existing.set(address);
+    if (req.body.isDefault === true || req.body.isDefault === 'true') {
+      user.setDefaultAddress(existing._id);
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Address updated',
+      address: existing,
+      addresses: user.addresses
+    });
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
+      success: false,
+      message: error.name === 'ValidationError' ? error.message : 'Error updating address',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   PUT /api/users/me/addresses/:addressId/default
+// @desc    Make an address the default (requires auth)
+router.put('/me/addresses/:addressId/default', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    if (!user.addresses.id(req.params.addressId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    user.setDefaultAddress(req.params.addressId);
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Default address updated',
+      addresses: user.addresses
+    });
+  } catch (error) {
+    console.error('Set default address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating default address',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   DELETE /api/users/me/addresses/:addressId
+// @desc    Remove a shipping address (requires auth)
+router.delete('/me/addresses/:addressId', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const existing = user.addresses.id(req.params.addressId);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Address not found'
+      });
+    }
+
+    const wasDefault = existing.isDefault;
+    existing.deleteOne();
+
+    // Keep exactly one default while any address remains
+    if (wasDefault && user.addresses.length > 0) {
+      user.setDefaultAddress(user.addresses[0]._id);
+    }
+    await user.save();
+
+    res.json({
+      success: true,
+      message: 'Address removed',
+      addresses: user.addresses
+    });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing address',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+// @route   GET /api/users/me/contributions
+// @desc    My 1% for Climbing contribution history (requires auth)
+router.get('/me/contributions', auth, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const query = { seller: req.user.id, status: { $ne: 'reversed' } };
+
+    const [contributions, count, user] = await Promise.all([
+      Contribution.find(query)
+        .select('order orderNumber baseAmount percent amount period status createdAt')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Contribution.countDocuments(query),
+      User.findById(req.user.id).select('totalContributed')
+    ]);
+
+    res.json({
+      success: true,
+      totalContributed: user?.totalContributed || 0,
+      contributions,
+      pagination: {
+        page,
+        limit,
+        total: count,
+        pages: Math.ceil(count / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get contributions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching contributions',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID (public profile)
 router.get('/:id', async (req, res) => {
   try {
     const user = await User.findById(req.params.id)
-      .select('-password -resetPasswordToken -resetPasswordExpires -stripeAccountId');
+      .select('-password -resetPasswordToken -resetPasswordExpires -stripeAccountId -addresses ' +
+        '-offerRules -offerEmails -quietHours -disputeStats -stripeAccountStatus');
 
     if (!user) {
       return res.status(404).json({
@@ -266,6 +516,7 @@ router.put('/preferences', auth, async (req, res) => {
       'emailNotifications',
       'smsNotifications',
       'marketingEmails',
+      'offerEmails',
       'climbingStyle',
       'shoeSize',
       'preferredBrands'
@@ -278,6 +529,15 @@ router.put('/preferences', auth, async (req, res) => {
       }
     });
 
+    // Quiet hours can be changed a field at a time
+    if (req.body.quietHours && typeof req.body.quietHours === 'object') {
+      ['enabled', 'start', 'end', 'timeZone'].forEach(field => {
+        if (req.body.quietHours[field] !== undefined) {
+          updates[`quietHours.${field}`] = req.body.quietHours[field];
+        }
+      });
+    }
+
     const user = await User.findByIdAndUpdate(
       req.user.id,
       { $set: updates },
@@ -291,9 +551,9 @@ router.put('/preferences', auth, async (req, res) => {
     });
   } catch (error) {
     console.error('Update preferences error:', error);
-    res.status(500).json({
+    res.status(error.name === 'ValidationError' ? 400 : 500).json({
       success: false,
-      message: 'Error updating preferences',
+      message: error.name === 'ValidationError' ? error.message : 'Error updating preferences',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -0,0 +1,49 @@
+// scripts/send-stripe-fixture.js
+// Sign a fixture from fixtures/stripe with STRIPE_WEBHOOK_SECRET and POST it
+// to the local webhook, exactly like Stripe would.
+//
+//   node scripts/send-stripe-fixture.js payment_intent.succeeded listingId=<id> buyerId=<id>
+//
+// key=value arguments override fields in data.object.metadata.
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const Stripe = require('stripe');
+
+const [name, ...overrides] = process.argv.slice(2);
+const secret = process.env.STRIPE_WEBHOOK_SECRET;
+const url = process.env.WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/payments/webhook`;
+
+if (!name) {
+  const available = fs.readdirSync(path.join(__dirname, '..', 'fixtures', 'stripe'))
+    .map(f => f.replace(/\.json$/, ''));
+  console.error(`Usage: node scripts/send-stripe-fixture.js <fixture> [key=value ...]\nFixtures: ${available.join(', ')}`);
+  process.exit(1);
+}
+if (!secret) {
+  console.error('❌ STRIPE_WEBHOOK_SECRET is not set');
+  process.exit(1);
+}
+
+const event = JSON.parse(
+  fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'stripe', `${name}.json`), 'utf8')
+);
+for (const pair of overrides) {
+  const [key, ...rest] = pair.split('=');
+  event.data.object.metadata = { ...(event.data.object.metadata || {}), [key]: rest.join('=') };
+}
+
+const payload = JSON.stringify(event);
+const signature = Stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+(async () => {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'Stripe-Signature': signature },
+    body: payload
+  });
+  console.log(res.status, await res.text());
+})().catch(err => {
+  console.error('❌ Request failed:', err.message);
+  process.exit(1);
+});
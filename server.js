@@ -61,11 +61,13 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token'],
-  exposedHeaders: ['x-auth-token']
+  allowedHeaders: ['Content-Type', 'Authorization', 'x-auth-token', 'Idempotency-Key'],
+  exposedHeaders: ['x-auth-token', 'Idempotent-Replayed']
 }));
 
 // Body parsing
+// Stripe signs the raw payload, so the webhook must see the body before express.json() does
+app.use('/api/payments/webhook', express.raw({ type: 'application/json' }));
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -88,10 +90,19 @@ const uploadRoutes   = require('./routes/upload');
 const offerRoutes    = require('./routes/offers');
 const messageRoutes  = require('./routes/messages');
 const paymentRoutes  = require('./routes/payments');
+const orderRoutes    = require('./routes/orders');
+const sellerRoutes   = require('./routes/sellers');
+const cartRoutes     = require('./routes/cart');
+const shippingRoutes = require('./routes/shipping');
+const disputeRoutes  = require('./routes/disputes');
 
 // Discounts + admin promotions (ensure these files exist)
 const discountRoutes        = require('./routes/discounts');           // POST /apply, /validate
 const adminPromotionRoutes  = require('./routes/admin/promotions');    // Admin CRUD
+const adminStripeEventRoutes = require('./routes/admin/stripeEvents'); // Webhook log + replay
+const adminOrderRoutes      = require('./routes/admin/orders');        // Issues + refunds
+const adminContributionRoutes = require('./routes/admin/contributions'); // 1% for Climbing report
+const adminDisputeRoutes    = require('./routes/admin/disputes');      // Dispute review + decisions
 
 // Mount
 app.use('/api/auth', authRoutes);
@@ -101,32 +112,44 @@ app.use('/api/upload', uploadRoutes);
 app.use('/api/offers', offerRoutes);
 app.use('/api/messages', messageRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/orders', orderRoutes);
+app.use('/api/sellers', sellerRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/disputes', disputeRoutes);
 app.use('/api/discounts', discountRoutes);
 app.use('/api/admin/promotions', adminPromotionRoutes);
-
-// Test payment (dynamic amount)
-app.post('/api/test-payment', async (req, res) => {
-  try {
-    const { amount, metadata } = req.body;
-    if (!amount || amount <= 0) {
-      return res.status(400).json({ error: 'Valid amount is required' });
+app.use('/api/admin/stripe-events', adminStripeEventRoutes);
+app.use('/api/admin/orders', adminOrderRoutes);
+app.use('/api/admin/contributions', adminContributionRoutes);
+app.use('/api/admin/disputes', adminDisputeRoutes);
+
+// Test payment (dynamic amount) — local/dev only; real checkout is priced server-side
+if (NODE_ENV !== 'production') {
+  app.post('/api/test-payment', async (req, res) => {
+    try {
+      const { amount } = req.body;
+      if (!amount || amount <= 0) {
+        return res.status(400).json({ error: 'Valid amount is required' });
+      }
+      const paymentIntent = await stripe.paymentIntents.create({
+        amount: Math.round(amount * 100), // cents
+        currency: 'usd',
+        // never client-supplied: listing/buyer metadata would turn this into an order
+        metadata: { source: 'climbing-gear-marketplace', test: 'true' },
+        automatic_payment_methods: { enabled: true }
+      });
+      res.json({
+        clientSecret: paymentIntent.client_secret,
+        paymentIntentId: paymentIntent.id,
+        message: '✅ Payment intent created'
+      });
+    } catch (err) {
+      console.error('❌ Stripe error:', err);
+      res.status(500).json({ error: err.message || 'Stripe error' });
     }
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // cents
-      currency: 'usd',
-      metadata: metadata || { source: 'climbing-gear-marketplace' },
-      automatic_payment_methods: { enabled: true }
-    });
-    res.json({
-      clientSecret: paymentIntent.client_secret,
-      paymentIntentId: paymentIntent.id,
-      message: '✅ Payment intent created'
-    });
-  } catch (err) {
-    console.error('❌ Stripe error:', err);
-    res.status(500).json({ error: err.message || 'Stripe error' });
-  }
-});
+  });
+}
 
 /* ------------------------------ HEALTH/STATS ----------------------------- */
 app.get('/api/health', (_req, res) => {
@@ -177,48 +200,68 @@ app.get('/', (_req, res) => {
 
 /* ------------------------------ CRON JOBS ------------------------------- */
 function initializeCronJobs() {
-  // Expired offers (hourly)
-  cron.schedule('0 * * * *', async () => {
+  // Offer round reminders and expiry, pending and countered (every 15 minutes)
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const { processOfferExpiry } = require('./services/offerExpiryService');
+      const { reminded, expired } = await processOfferExpiry();
+      if (reminded > 0 || expired > 0) {
+        console.log(`✅ Sent ${reminded} offer reminders, expired ${expired} offers`);
+      }
+    } catch (error) {
+      console.error('❌ Error processing offer expiry:', error);
+    }
+  });
+
+  // Offer emails queued for digests or held by quiet hours (every 15 minutes)
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const { flushDueNotifications } = require('./services/notificationService');
+      const { sent, deferred } = await flushDueNotifications();
+      if (sent > 0 || deferred > 0) {
+        console.log(`✅ Sent ${sent} queued offer emails (${deferred} held for quiet hours)`);
+      }
+    } catch (error) {
+      console.error('❌ Error sending queued offer emails:', error);
+    }
+  });
+
+  // Release listings held for accepted offers that weren't paid in time (every 15 minutes)
+  cron.schedule('*/15 * * * *', async () => {
+    try {
+      const { releaseExpiredReservations } = require('./services/reservationService');
+      const released = await releaseExpiredReservations();
+      if (released > 0) {
+        console.log(`✅ Released ${released} unpaid offer reservations`);
+      }
+    } catch (error) {
+      console.error('❌ Error releasing offer reservations:', error);
+    }
+  });
+
+  // Release escrowed payouts whose window has passed (every 15 minutes)
+  cron.schedule('*/15 * * * *', async () => {
     try {
-      console.log('⏰ Running expired offers check...');
-      const Offer        = require('./models/Offer');
-      const Message      = require('./models/Message');
-      const Conversation = require('./models/Conversation');
-
-      const expiredOffers = await Offer.find({
-        status: 'pending',
-        expiresAt: { $lt: new Date() }
-      }).populate('buyer seller listing');
-
-      for (const offer of expiredOffers) {
-        offer.status = 'expired';
-        await offer.save();
-
-        const conversation = await Conversation.findOrCreate(
-          [offer.buyer._id, offer.seller._id],
-          offer.listing._id
-        );
-
-        await Message.create({
-          conversation: conversation._id,
-          sender: offer.seller._id,
-          receiver: offer.buyer._id,
-          listing: offer.listing._id,
-          message: `Your offer of $${offer.offerAmount} has expired. Feel free to make a new offer if you're still interested.`,
-          isOffer: true,
-          offerDetails: {
-            offerId: offer._id,
-            amount: offer.offerAmount,
-            action: 'expired'
-          }
-        });
+      const { releaseDuePayouts } = require('./services/escrowService');
+      const { released, failed } = await releaseDuePayouts();
+      if (released || failed) {
+        console.log(`✅ Released ${released} payouts (${failed} failed)`);
       }
+    } catch (error) {
+      console.error('❌ Error releasing payouts:', error);
+    }
+  });
 
-      if (expiredOffers.length > 0) {
-        console.log(`✅ Processed ${expiredOffers.length} expired offers`);
+  // Poll carrier tracking for shipped orders (every 30 minutes)
+  cron.schedule('*/30 * * * *', async () => {
+    try {
+      const { pollShipments } = require('./services/shippingService');
+      const { updated, failed } = await pollShipments();
+      if (updated || failed) {
+        console.log(`✅ Refreshed tracking for ${updated} orders (${failed} failed)`);
       }
     } catch (error) {
-      console.error('❌ Error processing expired offers:', error);
+      console.error('❌ Error polling shipment tracking:', error);
     }
   });
 
@@ -270,12 +313,28 @@ app.use((_req, res) => res.status(404).json({ message: 'Route not found' }));
     require('./models/Conversation');
     require('./models/Product');
     const PromotionCode  = require('./models/PromotionCode');
+    const Order          = require('./models/Order');
+    const StripeEvent    = require('./models/StripeEvent');
+    const Cart           = require('./models/Cart');
+    const Contribution   = require('./models/Contribution');
+    const Dispute        = require('./models/Dispute');
+    const IdempotencyKey = require('./models/IdempotencyKey');
+    const Offer          = require('./models/Offer');
+    const EmailNotification = require('./models/EmailNotification');
 
     // 💡 Keep indexes tidy: drop dupes and create missing ones, now that models are loaded
     try {
       await Promise.all([
         User.syncIndexes(),
         PromotionCode.syncIndexes(),
+        Order.syncIndexes(),
+        StripeEvent.syncIndexes(),
+        Cart.syncIndexes(),
+        Contribution.syncIndexes(),
+        Dispute.syncIndexes(),
+        IdempotencyKey.syncIndexes(),
+        Offer.syncIndexes(),
+        EmailNotification.syncIndexes(),
         // Add others here if you add unique indexes in those schemas later
       ]);
       console.log('✅ Indexes synced');
@@ -309,9 +368,10 @@ app.use((_req, res) => res.status(404).json({ message: 'Route not found' }));
       server.listen(listenPort, () => {
         console.log(`🚀 Server + WS listening on ${listenPort}`);
         console.log(`📍 Health:        /api/health`);
-        console.log(`💳 Test Payment:  /api/test-payment`);
+        if (NODE_ENV !== 'production') console.log(`💳 Test Payment:  /api/test-payment`);
         console.log(`💬 Messages API:  /api/messages`);
         console.log(`🤝 Offers API:    /api/offers`);
+        console.log(`📦 Orders API:    /api/orders`);
         console.log(`🏷️ Discounts:     /api/discounts`);
         console.log(`🛠️ Admin promos:  /api/admin/promotions`);
       });
@@ -320,9 +380,10 @@ app.use((_req, res) => res.status(404).json({ message: 'Route not found' }));
       app.listen(listenPort, () => {
         console.log(`🚀 Server listening on ${listenPort}`);
         console.log(`📍 Health:        /api/health`);
-        console.log(`💳 Test Payment:  /api/test-payment`);
+        if (NODE_ENV !== 'production') console.log(`💳 Test Payment:  /api/test-payment`);
         console.log(`💬 Messages API:  /api/messages`);
         console.log(`🤝 Offers API:    /api/offers`);
+        console.log(`📦 Orders API:    /api/orders`);
         console.log(`🏷️ Discounts:     /api/discounts`);
         console.log(`🛠️ Admin promos:  /api/admin/promotions`);
       });
@@ -0,0 +1,112 @@
+// services/carriers/fakeCarrier.js
+// Local carrier for development and tests: no network, deterministic prices.
+// Tracking numbers encode when the label was bought, and the package moves
+// along on a fixed schedule from there, so polling behaves like a real carrier.
+const crypto = require('crypto');
+const httpError = require('../../utils/httpError');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const SERVICES = [
+  { service: 'ground', base: 5.5, perLb: 0.75, estimatedDays: 5 },
+  { service: 'priority', base: 9, perLb: 1.25, estimatedDays: 2 }
+];
+
+// Hours after purchase at which the package reaches each status
+const SCHEDULE = [
+  { status: 'pre_transit', afterHours: 0, description: 'Label created' },
+  { status: 'in_transit', afterHours: 12, description: 'Picked up by carrier' },
+  { status: 'out_for_delivery', afterHours: 36, description: 'Out for delivery' },
+  { status: 'delivered', afterHours: 48, description: 'Delivered' }
+];
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+function validateParcel(parcel = {}) {
+  const { weightOz, lengthIn, widthIn, heightIn } = parcel;
+  for (const [key, value] of Object.entries({ weightOz, lengthIn, widthIn, heightIn })) {
+    if (!(Number(value) > 0)) throw httpError(400, `parcel.${key} must be a positive number`);
+  }
+}
+
+// Billable pounds: actual weight or dimensional weight (L×W×H / 139), whichever is larger
+function billableLbs({ weightOz, lengthIn, widthIn, heightIn }) {
+  const actual = weightOz / 16;
+  const dimensional = (lengthIn * widthIn * heightIn) / 139;
+  return Math.ceil(Math.max(actual, dimensional));
+}
+
+async function quoteRates({ parcel }) {
+  validateParcel(parcel);
+  const lbs = billableLbs(parcel);
+  return SERVICES.map(s => ({
+    rateId: `fake_${s.service}_${lbs}`,
+    service: s.service,
+    amount: round2(s.base + s.perLb * lbs),
+    estimatedDays: s.estimatedDays
+  }));
+}
+
+async function purchaseLabel({ from, to, parcel, rateId }) {
+  const rates = await quoteRates({ from, to, parcel });
+  const rate = rates.find(r => r.rateId === rateId);
+  if (!rate) throw httpError(400, 'Rate is no longer available; quote again');
+
+  const trackingNumber = `FAKE${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(3).toString('hex').toUpperCase()}`;
+  return {
+    labelId: `lbl_${crypto.randomBytes(8).toString('hex')}`,
+    trackingNumber,
+    service: rate.service,
+    amount: rate.amount,
+    labelUrl: `https://carrier.invalid/labels/${trackingNumber}.pdf`
+  };
+}
+
+async function getTracking(trackingNumber, now = new Date()) {
+  const match = /^FAKE([0-9A-Z]+)[0-9A-F]{6}$/.exec(trackingNumber || '');
+  if (!match) throw httpError(404, 'Tracking number not found');
+
+  const purchasedAt = parseInt(match[1], 36);
+  const events = SCHEDULE
+    .map(step => ({
+      status: step.status,
+      description: step.description,
+      location: null,
+      occurredAt: new Date(purchasedAt + step.afterHours * HOUR_MS)
+    }))
+    .filter(event => event.occurredAt <= now);
+
+  // A label bought "in the future" (clock skew) hasn't reached any step yet
+  const latest = events[events.length - 1];
+  return { status: latest ? latest.status : 'pre_transit', events };
+}
+
+// Test hook: POST the update as JSON with FAKE_CARRIER_WEBHOOK_SECRET in the
+// x-fake-carrier-secret header. Without the variable set, every update is refused.
+async function parseWebhook(req) {
+  const secret = process.env.FAKE_CARRIER_WEBHOOK_SECRET;
+  const given = Buffer.from(req.get('x-fake-carrier-secret') || '');
+  const valid = !!secret && given.length === Buffer.byteLength(secret) &&
+    crypto.timingSafeEqual(given, Buffer.from(secret));
+  if (!valid) throw httpError(400, 'Invalid webhook secret');
+
+  const { trackingNumber, status, description, location, occurredAt } = req.body || {};
+  const known = status === 'exception' || SCHEDULE.some(step => step.status === status);
+  if (!trackingNumber || !known) {
+    throw httpError(400, 'trackingNumber and a valid status are required');
+  }
+
+  return {
+    trackingNumber,
+    status,
+    events: [{ status, description, location, occurredAt: occurredAt ? new Date(occurredAt) : new Date() }]
+  };
+}
+
+module.exports = {
+  name: 'fake',
+  quoteRates,
+  purchaseLabel,
+  getTracking,
+  parseWebhook
+};
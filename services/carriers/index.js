@@ -0,0 +1,35 @@
+// services/carriers/index.js
+// Carrier adapters. Each adapter exposes the same interface so shipping code
+// never talks to a carrier API directly:
+//
+//   name                                   carrier id stored on the order
+//   quoteRates({ from, to, parcel })       -> [{ rateId, service, amount, estimatedDays }]
+//   purchaseLabel({ from, to, parcel, rateId, reference })
+//                                          -> { labelId, trackingNumber, service, amount, labelUrl }
+//   getTracking(trackingNumber)            -> { status, events: [{ status, description, location, occurredAt }] }
+//   parseWebhook(req)                      -> { trackingNumber, status, events } (throws 400 if unverified;
+//                                          every adapter must verify a signature or shared secret)
+//
+// Addresses use the User address shape; parcel is { weightOz, lengthIn, widthIn, heightIn }.
+// Tracking statuses: pre_transit | in_transit | out_for_delivery | delivered | exception
+const marketplace = require('../../config/marketplace');
+const httpError = require('../../utils/httpError');
+const fakeCarrier = require('./fakeCarrier');
+
+// The fake carrier accepts hand-made tracking updates, so it is never
+// available in production (an unset NODE_ENV counts as production, as in server.js)
+const isProduction = (process.env.NODE_ENV || 'production') === 'production';
+
+const adapters = {
+  ...(!isProduction && { [fakeCarrier.name]: fakeCarrier })
+};
+
+/** Adapter by name, defaulting to the configured carrier */
+function getCarrier(name = marketplace.shippingCarrier) {
+  if (!name) throw httpError(503, 'No shipping carrier is configured');
+  const adapter = adapters[name];
+  if (!adapter) throw httpError(400, `Unknown carrier "${name}"`);
+  return adapter;
+}
+
+module.exports = { getCarrier };
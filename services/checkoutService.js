@@ -0,0 +1,344 @@
+// services/checkoutService.js
+// Server-side pricing for checkout. Clients only send ids and choices;
+// every amount charged is computed here.
+const stripe = require('../config/stripe');
+const marketplace = require('../config/marketplace');
+const PromotionCode = require('../models/PromotionCode');
+const User = require('../models/User');
+const httpError = require('../utils/httpError');
+const { applicationFeeFor, getPayoutAccount } = require('./stripeConnect');
+const { calculateTax } = require('./taxService');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Compute promo application against a listing.
+ * `price` is what the promo discounts (defaults to the listing price).
+ */
+async function computePromotion({ code, listing, price = listing.price }) {
+  if (!code) return { applied: false, finalPrice: price, discountAmount: 0, percent: 0, promotion: null };
+
+  const now = new Date();
+  const promotion = await PromotionCode.findOne({
+    code: String(code).toUpperCase(),
+    active: true,
+    validFrom: { $lte: now },
+    validUntil: { $gte: now },
+  });
+
+  if (!promotion) {
+    return { applied: false, reason: 'Invalid or expired code', finalPrice: price, discountAmount: 0, percent: 0, promotion: null };
+  }
+
+  if (promotion.usageLimit && promotion.timesUsed >= promotion.usageLimit) {
+    return { applied: false, reason: 'Code usage limit reached', finalPrice: price, discountAmount: 0, percent: 0, promotion };
+  }
+
+  if (!listing.acceptsPromotionalDiscounts) {
+    return { applied: false, reason: 'Listing does not accept discounts', finalPrice: price, discountAmount: 0, percent: 0, promotion };
+  }
+
+  if (price < (promotion.minOrderAmount || 0)) {
+    return { applied: false, reason: `Minimum order of $${promotion.minOrderAmount} required`, finalPrice: price, discountAmount: 0, percent: 0, promotion };
+  }
+
+  const effectivePercent = Math.min(promotion.discountPercent, listing.maxDiscountPercent || 10);
+  const discountAmount = round2(price * (effectivePercent / 100));
+  const finalPrice = Math.max(0, round2(price - discountAmount));
+
+  return { applied: true, finalPrice, discountAmount, percent: effectivePercent, promotion };
+}
+
+/**
+ * Price a single listing for a buyer.
+ *
+ * The item price is the listing price, or the accepted offer amount when the
+ * listing is reserved for this buyer. Shipping comes from the listing; a promo
+ * code (if any) applies to the listing price only, never on top of an offer.
+ *
+ * @returns {Promise<{ itemPrice, offerId, promo, shippingMethod, shipping, total }>}
+ */
+async function quoteListing({ listing, buyerId, code, shippingMethod = 'pickup' }) {
+  if (String(listing.seller._id || listing.seller) === String(buyerId)) {
+    throw httpError(400, 'You cannot buy your own listing');
+  }
+
+  const reserved = listing.isReservedFor(buyerId);
+  if (listing.status !== 'available' && !reserved) {
+    throw httpError(400, 'Listing not available for purchase');
+  }
+
+  let shipping = 0;
+  if (shippingMethod === 'shipping') {
+    if (!listing.shippingAvailable) throw httpError(400, 'Seller does not ship this listing');
+    shipping = listing.shippingPrice || 0;
+  } else if (shippingMethod !== 'pickup') {
+    throw httpError(400, "shippingMethod must be 'shipping' or 'pickup'");
+  }
+
+  const itemPrice = reserved ? listing.reservation.amount : listing.price;
+  const promo = reserved
+    ? { applied: false, reason: 'Promo codes cannot be combined with an accepted offer', finalPrice: itemPrice, discountAmount: 0, percent: 0, promotion: null }
+    : await computePromotion({ code, listing });
+
+  return {
+    itemPrice,
+    offerId: reserved ? listing.reservation.offer : null,
+    promo,
+    shippingMethod,
+    shipping,
+    total: round2(promo.finalPrice + shipping)
+  };
+}
+
+/**
+ * Price the listings in a cart, grouped by seller.
+ *
+ * Every listing must be available and ship-able when shippingMethod is
+ * 'shipping'. Shipping is combined per seller: the group pays the highest
+ * shippingPrice among its listings once. The promo code is tried against each
+ * listing on its own, so it applies only to the eligible ones.
+ *
+ * @returns {Promise<Array<{ seller, items, shippingMethod, shipping, discount, total, promotion }>>}
+ */
+async function quoteCart({ listings, buyerId, code, shippingMethod = 'pickup' }) {
+  if (!['shipping', 'pickup'].includes(shippingMethod)) {
+    throw httpError(400, "shippingMethod must be 'shipping' or 'pickup'");
+  }
+
+  const groups = new Map();
+  for (const listing of listings) {
+    if (String(listing.seller) === String(buyerId)) {
+      throw httpError(400, `You cannot buy your own listing "${listing.title}"`);
+    }
+    if (listing.status !== 'available') {
+      throw httpError(400, `"${listing.title}" is no longer available`);
+    }
+    if (shippingMethod === 'shipping' && !listing.shippingAvailable) {
+      throw httpError(400, `Seller does not ship "${listing.title}"`);
+    }
+
+    const promo = await computePromotion({ code, listing });
+    const key = String(listing.seller);
+    if (!groups.has(key)) groups.set(key, { seller: listing.seller, items: [], promotion: null });
+
+    const group = groups.get(key);
+    group.items.push({ listing, price: listing.price, promo });
+    if (promo.applied && !group.promotion) group.promotion = promo;
+  }
+
+  return [...groups.values()].map(group => {
+    if (group.items.length > marketplace.maxItemsPerSellerCheckout) {
+      throw httpError(400, `At most ${marketplace.maxItemsPerSellerCheckout} items from one seller can be bought together`);
+    }
+
+    const shipping = shippingMethod === 'shipping'
+      ? Math.max(...group.items.map(i => i.listing.shippingPrice || 0))
+      : 0;
+    const subtotal = round2(group.items.reduce((sum, i) => sum + i.promo.finalPrice, 0));
+    const discount = round2(group.items.reduce((sum, i) => sum + i.promo.discountAmount, 0));
+
+    return {
+      ...group,
+      shippingMethod,
+      shipping,
+      discount,
+      total: round2(subtotal + shipping)
+    };
+  });
+}
+
+/**
+ * Address a shipped checkout goes to: the buyer's saved address `addressId`,
+ * or their default one. Returns a plain snapshot (null for pickup) so later
+ * edits to the address book don't change where a paid order ships.
+ */
+async function resolveShippingAddress({ buyerId, addressId, shippingMethod }) {
+  if (shippingMethod !== 'shipping') return null;
+
+  const buyer = await User.findById(buyerId).select('addresses');
+  const address = addressId ? buyer?.addresses.id(addressId) : buyer?.getDefaultAddress();
+  if (!address) {
+    throw httpError(400, addressId ? 'Shipping address not found' : 'Add a shipping address to check out with shipping');
+  }
+
+  const { name, street1, street2, city, state, zipCode, country } = address;
+  return { name, street1, street2, city, state, zipCode, country };
+}
+
+/**
+ * Create the PaymentIntent for one seller's items.
+ * Funds land on the platform; the seller's share is transferred when escrow
+ * releases (services/escrowService.js). The per-item breakdown travels in the
+ * metadata so the order can be built from the intent alone.
+ * `total` includes `tax`; the marketplace fee is taken on the pre-tax amount.
+ */
+async function createPaymentIntent({ buyerId, seller, items, shippingMethod, shipping, shippingAddress, tax, total, promotion, offerId, currency = 'usd' }) {
+  // Blocks checkout if the seller hasn't set up payouts
+  const destination = await getPayoutAccount(seller);
+
+  const amountInCents = Math.round(total * 100);
+  const applicationFee = applicationFeeFor(amountInCents - Math.round(tax.amount * 100));
+  const discount = round2(items.reduce((sum, i) => sum + i.promo.discountAmount, 0));
+  const first = items[0].listing;
+
+  return stripe.paymentIntents.create({
+    amount: amountInCents,
+    currency,
+    automatic_payment_methods: { enabled: true },
+    transfer_group: `listing_${first._id}`,
+    metadata: {
+      buyerId: String(buyerId),
+      listingId: String(first._id),
+      items: JSON.stringify(items.map(i => ({
+        l: String(i.listing._id),
+        p: i.price,
+        d: i.promo.discountAmount
+      }))),
+      sellerId: String(seller),
+      sellerAccount: destination,
+      marketplaceFee: String(applicationFee / 100),
+      shippingMethod,
+      shippingAmount: String(shipping),
+      ...(shippingAddress ? { shippingAddress: JSON.stringify(shippingAddress) } : {}),
+      taxAmount: String(tax.amount),
+      taxRate: String(tax.rate),
+      ...(tax.jurisdiction ? { taxJurisdiction: tax.jurisdiction } : {}),
+      ...(offerId ? { offerId: String(offerId) } : {}),
+      ...(promotion && promotion.promotion
+        ? {
+            promoId: String(promotion.promotion._id),
+            promoCode: promotion.promotion.code,
+            promoPercent: String(promotion.percent),
+            promoDiscount: String(discount),
+          }
+        : {}),
+      source: 'summit-soles',
+    },
+  });
+}
+
+/**
+ * Quote a listing (with sales tax) and create the Stripe PaymentIntent for it.
+ * @returns {Promise<{ pi: object, quote: object }>}
+ */
+async function createListingPaymentIntent({ listing, buyerId, code, shippingMethod, addressId, currency = 'usd' }) {
+  const priced = await quoteListing({ listing, buyerId, code, shippingMethod });
+  const shippingAddress = await resolveShippingAddress({ buyerId, addressId, shippingMethod: priced.shippingMethod });
+  const tax = calculateTax({
+    shippingMethod: priced.shippingMethod,
+    shippingAddress,
+    listing,
+    subtotal: priced.promo.finalPrice,
+    shipping: priced.shipping
+  });
+  const quote = { ...priced, tax, total: round2(priced.total + tax.amount) };
+
+  const pi = await createPaymentIntent({
+    buyerId,
+    seller: listing.seller,
+    items: [{ listing, price: quote.itemPrice, promo: quote.promo }],
+    shippingMethod: quote.shippingMethod,
+    shipping: quote.shipping,
+    shippingAddress,
+    tax: quote.tax,
+    total: quote.total,
+    promotion: quote.promo.applied ? quote.promo : null,
+    offerId: quote.offerId,
+    currency
+  });
+
+  return { pi, quote };
+}
+
+/**
+ * Quote an accepted bundle offer and create one PaymentIntent for all of its
+ * listings. Each listing must still be reserved for the buyer under `offerId`;
+ * its item price is its share of the offer (see services/offerService.js), so
+ * the items add up to the accepted amount. Shipping is combined like a cart
+ * group: the highest shippingPrice in the bundle, once.
+ * @returns {Promise<{ pi: object, quote: object }>}
+ */
+async function createBundlePaymentIntent({ listings, offerId, buyerId, shippingMethod = 'pickup', addressId, currency = 'usd' }) {
+  if (!['shipping', 'pickup'].includes(shippingMethod)) {
+    throw httpError(400, "shippingMethod must be 'shipping' or 'pickup'");
+  }
+
+  const noPromo = (price) => ({ applied: false, finalPrice: price, discountAmount: 0, percent: 0, promotion: null });
+  const items = listings.map(listing => {
+    if (!listing.isReservedFor(buyerId) || String(listing.reservation.offer) !== String(offerId)) {
+      throw httpError(400, 'The payment window for this offer has closed');
+    }
+    if (shippingMethod === 'shipping' && !listing.shippingAvailable) {
+      throw httpError(400, `Seller does not ship "${listing.title}"`);
+    }
+    return { listing, price: listing.reservation.amount, promo: noPromo(listing.reservation.amount) };
+  });
+
+  const itemPrice = round2(items.reduce((sum, i) => sum + i.price, 0));
+  const shipping = shippingMethod === 'shipping'
+    ? Math.max(...listings.map(l => l.shippingPrice || 0))
+    : 0;
+  const shippingAddress = await resolveShippingAddress({ buyerId, addressId, shippingMethod });
+  const tax = calculateTax({
+    shippingMethod,
+    shippingAddress,
+    listing: listings[0],
+    subtotal: itemPrice,
+    shipping
+  });
+  const quote = { itemPrice, offerId, items, shippingMethod, shipping, tax, total: round2(itemPrice + shipping + tax.amount) };
+
+  const pi = await createPaymentIntent({
+    buyerId,
+    seller: listings[0].seller,
+    items,
+    shippingMethod,
+    shipping,
+    shippingAddress,
+    tax,
+    total: quote.total,
+    promotion: null,
+    offerId,
+    currency
+  });
+
+  return { pi, quote };
+}
+
+/**
+ * Quote a cart (with sales tax per seller group) and create one PaymentIntent per group.
+ * @returns {Promise<Array<{ pi: object, group: object }>>}
+ */
+async function createCartPaymentIntents({ listings, buyerId, code, shippingMethod, addressId, currency = 'usd' }) {
+  const shippingAddress = await resolveShippingAddress({ buyerId, addressId, shippingMethod });
+  const groups = (await quoteCart({ listings, buyerId, code, shippingMethod })).map(group => {
+    const tax = calculateTax({
+      shippingMethod,
+      shippingAddress,
+      listing: group.items[0].listing,
+      subtotal: round2(group.total - group.shipping),
+      shipping: group.shipping
+    });
+    return { ...group, tax, total: round2(group.total + tax.amount) };
+  });
+
+  // Check every seller up front so one bad group doesn't leave the others half-created
+  for (const group of groups) await getPayoutAccount(group.seller);
+
+  const results = [];
+  for (const group of groups) {
+    const pi = await createPaymentIntent({ buyerId, ...group, shippingAddress, currency });
+    results.push({ pi, group });
+  }
+  return results;
+}
+
+module.exports = {
+  computePromotion,
+  quoteListing,
+  quoteCart,
+  createListingPaymentIntent,
+  createBundlePaymentIntent,
+  createCartPaymentIntents
+};
@@ -0,0 +1,150 @@
+// services/contributionService.js
+// 1% for Climbing: a share of every completed sale is set aside for the
+// nonprofit, recorded in the Contribution ledger and on the seller's totals.
+const marketplace = require('../config/marketplace');
+const Contribution = require('../models/Contribution');
+const User = require('../models/User');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** What the contribution is taken from: the goods sold, net of refunds */
+function contributionBase(order) {
+  const { total, tax = 0, shipping = 0, refunded = 0 } = order.amounts;
+  return Math.max(0, round2(total - tax - shipping - refunded));
+}
+
+/**
+ * Write the ledger entry for a completed order and add it to the seller's
+ * totalContributed. Safe to call twice: an order only ever gets one entry.
+ * @returns {Promise<object|null>} the entry, or null when nothing is owed
+ */
+async function recordContribution(order) {
+  const existing = await Contribution.findOne({ order: order._id });
+  if (existing) return existing;
+
+  const percent = marketplace.contributionPercent;
+  const baseAmount = contributionBase(order);
+  const amount = round2(baseAmount * (percent / 100));
+  if (amount <= 0) return null;
+
+  let entry;
+  try {
+    entry = await Contribution.create({
+      order: order._id,
+      seller: order.seller,
+      orderNumber: order.orderNumber,
+      baseAmount,
+      percent,
+      amount,
+      period: Contribution.periodFor(order.completedAt || new Date())
+    });
+  } catch (err) {
+    // Another caller recorded it first
+    if (err.code === 11000) return Contribution.findOne({ order: order._id });
+    throw err;
+  }
+
+  await User.updateOne({ _id: order.seller }, { $inc: { totalContributed: amount } });
+  return entry;
+}
+
+/**
+ * Take back the contribution of an order that was cancelled after completing.
+ * Amounts already remitted to the nonprofit stay on the ledger.
+ */
+async function reverseContribution(order) {
+  const entry = await Contribution.findOneAndUpdate(
+    { order: order._id, status: 'pending' },
+    { $set: { status: 'reversed', reversedAt: new Date() } },
+    { new: true }
+  );
+  if (!entry) return null;
+
+  await User.updateOne(
+    { _id: entry.seller, totalContributed: { $gte: entry.amount } },
+    { $inc: { totalContributed: -entry.amount } }
+  );
+  return entry;
+}
+
+/**
+ * Bring a pending contribution in line with the order after a partial
+ * refund, and the seller's totalContributed with it. Amounts already
+ * remitted to the nonprofit stay on the ledger.
+ * @returns {Promise<object|null>} the updated entry, or null when there is none to adjust
+ */
+async function adjustContribution(order) {
+  const entry = await Contribution.findOne({ order: order._id, status: 'pending' });
+  if (!entry) return null;
+
+  const baseAmount = contributionBase(order);
+  const amount = round2(baseAmount * (entry.percent / 100));
+  if (amount === entry.amount) return entry;
+
+  // Conditional on the amount read, so concurrent refunds don't double-count
+  const updated = await Contribution.findOneAndUpdate(
+    { _id: entry._id, status: 'pending', amount: entry.amount },
+    { $set: { baseAmount, amount } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  await User.updateOne({ _id: entry.seller }, { $inc: { totalContributed: round2(amount - entry.amount) } });
+  return updated;
+}
+
+/**
+ * Totals per month for remitting to the nonprofit.
+ * @param {object} [opts]
+ * @param {string} [opts.from] first period, 'YYYY-MM'
+ * @param {string} [opts.to]   last period, 'YYYY-MM'
+ */
+async function monthlyReport({ from, to } = {}) {
+  const match = { status: { $ne: 'reversed' } };
+  if (from || to) {
+    match.period = {};
+    if (from) match.period.$gte = from;
+    if (to) match.period.$lte = to;
+  }
+
+  const rows = await Contribution.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$period',
+        orders: { $sum: 1 },
+        sellers: { $addToSet: '$seller' },
+        total: { $sum: '$amount' },
+        pending: { $sum: { $cond: [{ $eq: ['$status', 'pending'] }, '$amount', 0] } },
+        remitted: { $sum: { $cond: [{ $eq: ['$status', 'remitted'] }, '$amount', 0] } }
+      }
+    },
+    { $sort: { _id: -1 } }
+  ]);
+
+  return rows.map(row => ({
+    period: row._id,
+    orders: row.orders,
+    sellers: row.sellers.length,
+    total: round2(row.total),
+    pending: round2(row.pending),
+    remitted: round2(row.remitted)
+  }));
+}
+
+/** Mark a month's pending entries as paid to the nonprofit */
+async function markPeriodRemitted(period) {
+  const result = await Contribution.updateMany(
+    { period, status: 'pending' },
+    { $set: { status: 'remitted', remittedAt: new Date() } }
+  );
+  return result.modifiedCount;
+}
+
+module.exports = {
+  recordContribution,
+  reverseContribution,
+  adjustContribution,
+  monthlyReport,
+  markPeriodRemitted
+};
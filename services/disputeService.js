@@ -0,0 +1,265 @@
+// services/disputeService.js
+// Dispute workflow for orders: card disputes reported by Stripe and issues
+// filed by buyers. Opening one freezes the seller's payout; the decision
+// either pays the seller or sides with the buyer, and disputes lost count
+// against the seller's standing.
+const stripe = require('../config/stripe');
+const marketplace = require('../config/marketplace');
+const Dispute = require('../models/Dispute');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const httpError = require('../utils/httpError');
+const { openIssue, resolveIssue } = require('./escrowService');
+const { refundableAmount, applyCancellation } = require('./refundService');
+
+const toDollars = (cents) => Math.round(cents || 0) / 100;
+
+// Post into the dispute's thread in the order conversation
+async function postDisputeMessage(dispute, { sender, receiver, message, isSystem = false }) {
+  const conversation = await Conversation.findById(dispute.conversation);
+  const msg = await Message.create({
+    conversation: dispute.conversation,
+    sender,
+    receiver,
+    listing: conversation && conversation.listing,
+    message,
+    dispute: dispute._id,
+    isSystem
+  });
+  if (conversation) {
+    conversation.lastMessage = msg._id;
+    conversation.lastMessageAt = new Date();
+    await conversation.incrementUnread(receiver);
+  }
+  return msg;
+}
+
+// Platform notice in the thread; Message needs a sender, so it comes "from" the other party
+function postNotice(dispute, to, message) {
+  const from = String(to) === String(dispute.buyer) ? dispute.seller : dispute.buyer;
+  return postDisputeMessage(dispute, { sender: from, receiver: to, message, isSystem: true });
+}
+
+async function createDispute(order, fields) {
+  const conversation = await Conversation.findOrCreate([order.buyer, order.seller], order.listing);
+  const dispute = await Dispute.create({
+    order: order._id,
+    buyer: order.buyer,
+    seller: order.seller,
+    conversation: conversation._id,
+    ...fields
+  });
+  await User.updateOne({ _id: order.seller }, { $inc: { 'disputeStats.opened': 1 } });
+  return dispute;
+}
+
+/**
+ * Buyer files an issue during the escrow window: freezes the payout
+ * (services/escrowService.js openIssue) and opens a dispute thread.
+ */
+async function openBuyerDispute(order, buyerId, { reason, description }) {
+  await openIssue(order, buyerId, { reason, description });
+
+  const dispute = await createDispute(order, {
+    source: 'buyer',
+    reason,
+    description,
+    amount: refundableAmount(order)
+  });
+
+  await postDisputeMessage(dispute, {
+    sender: order.buyer,
+    receiver: order.seller,
+    message: `Dispute opened on order ${order.orderNumber}: ${reason}${description ? ` - ${description}` : ''}`
+  });
+  return dispute;
+}
+
+/**
+ * Card dispute reported by Stripe (charge.dispute.created). Freezes a held
+ * payout and asks the seller for evidence. Repeat deliveries only refresh
+ * the Stripe status.
+ * @returns {Promise<object|null>} the dispute, or null when no order matches
+ */
+async function openStripeDispute(stripeDispute) {
+  const existing = await Dispute.findOne({ stripeDisputeId: stripeDispute.id });
+  if (existing) {
+    existing.stripeStatus = stripeDispute.status;
+    return existing.save();
+  }
+
+  const order = await Order.findOne({ paymentIntentId: stripeDispute.payment_intent });
+  if (!order) return null;
+
+  order.dispute = {
+    stripeDisputeId: stripeDispute.id,
+    reason: stripeDispute.reason,
+    status: stripeDispute.status,
+    amount: toDollars(stripeDispute.amount),
+    openedAt: new Date(stripeDispute.created * 1000)
+  };
+  if (order.payout.status === 'held') {
+    order.payout.status = 'frozen';
+    order.statusHistory.push({ status: order.status, note: `Card dispute opened: ${stripeDispute.reason}` });
+  }
+  await order.save();
+
+  const dueBy = stripeDispute.evidence_details && stripeDispute.evidence_details.due_by;
+  const dispute = await createDispute(order, {
+    source: 'stripe',
+    stripeDisputeId: stripeDispute.id,
+    stripeStatus: stripeDispute.status,
+    evidenceDueBy: dueBy ? new Date(dueBy * 1000) : undefined,
+    reason: stripeDispute.reason,
+    amount: toDollars(stripeDispute.amount)
+  });
+
+  await postNotice(dispute, order.seller,
+    `The buyer's card issuer opened a dispute on order ${order.orderNumber} (${stripeDispute.reason}). ` +
+    'Your payout is on hold. Please upload evidence such as shipping receipts or photos.');
+  return dispute;
+}
+
+/** Seller adds evidence files; the dispute moves to review */
+async function addEvidence(dispute, sellerId, files, note) {
+  if (String(dispute.seller) !== String(sellerId)) {
+    throw httpError(403, 'Only the seller can add evidence');
+  }
+  if (dispute.status === 'resolved') {
+    throw httpError(400, 'Dispute is already resolved');
+  }
+  if (!files || !files.length) {
+    throw httpError(400, 'No evidence files uploaded');
+  }
+
+  for (const f of files) {
+    dispute.evidence.push({
+      url: f.path || f.url,
+      publicId: f.filename || f.public_id,
+      note,
+      uploadedBy: sellerId
+    });
+  }
+  dispute.status = 'under_review';
+  await dispute.save();
+
+  await postDisputeMessage(dispute, {
+    sender: dispute.seller,
+    receiver: dispute.buyer,
+    message: `The seller added ${files.length} piece${files.length === 1 ? '' : 's'} of evidence${note ? `: ${note}` : ''}`
+  });
+  return dispute;
+}
+
+// Record the outcome and update the seller's standing
+async function applyDecision(dispute, { decision, note, by }) {
+  dispute.status = 'resolved';
+  dispute.decision = decision;
+  dispute.decisionNote = note;
+  dispute.decidedBy = by;
+  dispute.decidedAt = new Date();
+  await dispute.save();
+
+  if (decision === 'buyer') {
+    const seller = await User.findByIdAndUpdate(
+      dispute.seller,
+      { $inc: { 'disputeStats.lost': 1 }, $set: { 'disputeStats.lastLostAt': new Date() } },
+      { new: true }
+    );
+    if (seller && seller.status === 'active' &&
+        seller.disputeStats.lost >= marketplace.disputeSuspendThreshold) {
+      seller.status = 'suspended';
+      await seller.save();
+    }
+  }
+
+  const outcome = decision === 'buyer' ? 'in the buyer\'s favour' : 'in the seller\'s favour';
+  const text = `Dispute resolved ${outcome}${note ? `: ${note}` : ''}`;
+  await postNotice(dispute, dispute.buyer, text);
+  await postNotice(dispute, dispute.seller, text);
+  return dispute;
+}
+
+/**
+ * Admin decision on a buyer dispute: 'seller' releases the payout (only once
+ * the order has shipped), 'buyer' refunds the order in full.
+ */
+async function decideDispute(dispute, adminId, { decision, note }) {
+  if (dispute.status === 'resolved') {
+    throw httpError(400, 'Dispute is already resolved');
+  }
+  if (dispute.source === 'stripe') {
+    throw httpError(400, 'Card disputes are decided by the card issuer and close through Stripe');
+  }
+
+  const order = await Order.findById(dispute.order);
+  if (!order) throw httpError(404, 'Order not found');
+
+  await resolveIssue(order, adminId, {
+    resolution: decision === 'buyer' ? 'refund' : 'release',
+    note
+  });
+  return applyDecision(dispute, { decision, note, by: adminId });
+}
+
+/**
+ * Stripe closed a card dispute (charge.dispute.closed). Won: the payout is
+ * held again and releases on the normal schedule, unless something else on
+ * the order is still open. Lost: the buyer kept the
+ * money, so the seller's payout is cancelled (or reversed if already paid)
+ * and the order is cancelled.
+ */
+async function closeStripeDispute(stripeDispute) {
+  const dispute = await Dispute.findOne({ stripeDisputeId: stripeDispute.id });
+  if (!dispute) return null;
+
+  dispute.stripeStatus = stripeDispute.status;
+  if (dispute.status === 'resolved') return dispute.save();
+
+  const order = await Order.findById(dispute.order);
+  if (order) {
+    if (order.dispute) order.dispute.status = stripeDispute.status;
+
+    if (stripeDispute.status === 'won') {
+      // Stays frozen while a buyer issue or another dispute is still open
+      const stillOpen = (order.issue && order.issue.status === 'open') ||
+        await Dispute.exists({ order: order._id, _id: { $ne: dispute._id }, status: { $ne: 'resolved' } });
+      if (order.payout.status === 'frozen' && !stillOpen) order.payout.status = 'held';
+      order.statusHistory.push({ status: order.status, note: 'Card dispute won' });
+    } else if (stripeDispute.status === 'lost') {
+      if (order.payout.status === 'released' && order.payout.transferId) {
+        await stripe.transfers.createReversal(order.payout.transferId, {
+          amount: Math.round(order.payout.amount * 100)
+        }, {
+          idempotencyKey: `dispute-reversal-${dispute._id}`
+        });
+      }
+      // A pickup order may have been handed over without being marked
+      // delivered; the buyer has the item, so it isn't put back on sale
+      await applyCancellation(order, null, 'Card dispute lost', {
+        relist: !order.shippedAt && !order.deliveredAt && order.shipping.method !== 'pickup'
+      });
+    }
+    await order.save();
+  }
+
+  if (stripeDispute.status !== 'won' && stripeDispute.status !== 'lost') {
+    return dispute.save();
+  }
+  return applyDecision(dispute, {
+    decision: stripeDispute.status === 'won' ? 'seller' : 'buyer',
+    note: `Closed by the card issuer (${stripeDispute.status})`,
+    by: null
+  });
+}
+
+module.exports = {
+  postDisputeMessage,
+  openBuyerDispute,
+  openStripeDispute,
+  addEvidence,
+  decideDispute,
+  closeStripeDispute
+};
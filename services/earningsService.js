@@ -0,0 +1,268 @@
+// services/earningsService.js
+// Seller earnings: totals, payout state and a time series over the seller's
+// orders, plus a CSV of every sale and refund.
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const httpError = require('../utils/httpError');
+
+const INTERVALS = ['day', 'week', 'month'];
+
+const round2 = (n) => Math.round((n || 0) * 100) / 100;
+
+/**
+ * Parse ?from=&to= (ISO dates). `to` is inclusive of the whole day when given
+ * as a bare date. Either may be omitted.
+ */
+function parseRange({ from, to } = {}) {
+  const range = {};
+  if (from) {
+    range.from = new Date(from);
+    if (Number.isNaN(range.from.getTime())) throw httpError(400, 'from must be a valid date');
+  }
+  if (to) {
+    range.to = new Date(to);
+    if (Number.isNaN(range.to.getTime())) throw httpError(400, 'to must be a valid date');
+    if (/^\d{4}-\d{2}-\d{2}$/.test(to)) range.to.setUTCHours(23, 59, 59, 999);
+  }
+  if (range.from && range.to && range.from > range.to) {
+    throw httpError(400, 'from must be before to');
+  }
+  return range;
+}
+
+// { $gte, $lte } condition for a parsed range, or null when it is open both ways
+function dateCondition({ from, to }) {
+  if (!from && !to) return null;
+  const cond = {};
+  if (from) cond.$gte = from;
+  if (to) cond.$lte = to;
+  return cond;
+}
+
+function orderMatch(sellerId, range) {
+  const match = { seller: new mongoose.Types.ObjectId(String(sellerId)) };
+  const cond = dateCondition(range);
+  if (cond) match.createdAt = cond;
+  return match;
+}
+
+// Refunds count when they were issued, not when the order was placed, so a
+// refund against an older order lands in the period it happened.
+function refundPipeline(sellerId, range) {
+  const cond = dateCondition(range);
+  return [
+    { $match: { seller: new mongoose.Types.ObjectId(String(sellerId)), 'refunds.0': { $exists: true } } },
+    { $unwind: '$refunds' },
+    ...(cond ? [{ $match: { 'refunds.createdAt': cond } }] : [])
+  ];
+}
+
+// What the seller sold for: everything the buyer paid except sales tax
+const GROSS = { $subtract: ['$amounts.total', { $ifNull: ['$amounts.tax', 0] }] };
+
+// The part of a refund that came out of the sale: refunds include sales tax
+// in proportion to the order's tax, and tax isn't part of grossSales
+const REFUND_PRE_TAX = {
+  $multiply: [
+    '$refunds.amount',
+    { $cond: [{ $gt: ['$amounts.total', 0] }, { $divide: [GROSS, '$amounts.total'] }, 1] }
+  ]
+};
+
+const sumIf = (status, field) => ({
+  $sum: { $cond: [{ $in: ['$payout.status', status] }, field, 0] }
+});
+
+/**
+ * Earnings summary and time series for a seller.
+ * @param {string} sellerId
+ * @param {object} [opts]
+ * @param {string} [opts.from]
+ * @param {string} [opts.to]
+ * @param {'day'|'week'|'month'} [opts.interval='day']
+ */
+async function getEarnings(sellerId, { from, to, interval = 'day' } = {}) {
+  if (!INTERVALS.includes(interval)) {
+    throw httpError(400, `interval must be one of: ${INTERVALS.join(', ')}`);
+  }
+  const range = parseRange({ from, to });
+  const match = orderMatch(sellerId, range);
+
+  const [totals] = await Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: null,
+        orders: { $sum: 1 },
+        grossSales: { $sum: GROSS },
+        marketplaceFees: { $sum: '$amounts.marketplaceFee' },
+        promoDiscounts: { $sum: '$amounts.discount' },
+        taxCollected: { $sum: { $ifNull: ['$amounts.tax', 0] } },
+        pending: sumIf(['held'], '$payout.amount'),
+        onHold: sumIf(['frozen'], '$payout.amount'),
+        released: sumIf(['released'], '$payout.amount')
+      }
+    }
+  ]);
+
+  const series = await Order.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$createdAt', unit: interval, startOfWeek: 'monday' } },
+        orders: { $sum: 1 },
+        grossSales: { $sum: GROSS },
+        marketplaceFees: { $sum: '$amounts.marketplaceFee' }
+      }
+    }
+  ]);
+
+  const [refundTotals] = await Order.aggregate([
+    ...refundPipeline(sellerId, range),
+    { $group: { _id: null, total: { $sum: '$refunds.amount' }, preTax: { $sum: REFUND_PRE_TAX } } }
+  ]);
+
+  const refundSeries = await Order.aggregate([
+    ...refundPipeline(sellerId, range),
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$refunds.createdAt', unit: interval, startOfWeek: 'monday' } },
+        refunds: { $sum: '$refunds.amount' },
+        refundsPreTax: { $sum: REFUND_PRE_TAX }
+      }
+    }
+  ]);
+
+  // Periods with sales, refunds or both
+  const periods = new Map();
+  const periodFor = (date) => {
+    const key = date.getTime();
+    if (!periods.has(key)) {
+      periods.set(key, { period: date, orders: 0, grossSales: 0, marketplaceFees: 0, refunds: 0, refundsPreTax: 0 });
+    }
+    return periods.get(key);
+  };
+  for (const { _id, orders, grossSales, marketplaceFees } of series) {
+    Object.assign(periodFor(_id), { orders, grossSales, marketplaceFees });
+  }
+  for (const { _id, refunds, refundsPreTax } of refundSeries) {
+    Object.assign(periodFor(_id), { refunds, refundsPreTax });
+  }
+
+  // Discounts the seller has absorbed on their listings (all time)
+  const [discounts] = await Product.aggregate([
+    { $match: { seller: match.seller } },
+    {
+      $group: {
+        _id: null,
+        total: { $sum: '$discountStats.totalDiscountValue' },
+        timesApplied: { $sum: '$discountStats.timesDiscountApplied' }
+      }
+    }
+  ]);
+
+  const t = totals || {};
+  const refunds = (refundTotals && refundTotals.total) || 0;
+  const refundsPreTax = (refundTotals && refundTotals.preTax) || 0;
+  return {
+    range: { from: range.from || null, to: range.to || null },
+    totals: {
+      orders: t.orders || 0,
+      grossSales: round2(t.grossSales),
+      marketplaceFees: round2(t.marketplaceFees),
+      refunds: round2(refunds),
+      promoDiscounts: round2(t.promoDiscounts),
+      taxCollected: round2(t.taxCollected),
+      netEarnings: round2((t.grossSales || 0) - (t.marketplaceFees || 0) - refundsPreTax)
+    },
+    payouts: {
+      pending: round2(t.pending),
+      onHold: round2(t.onHold),
+      released: round2(t.released)
+    },
+    discountsAbsorbed: {
+      total: round2(discounts && discounts.total),
+      timesApplied: (discounts && discounts.timesApplied) || 0
+    },
+    interval,
+    series: [...periods.values()].sort((a, b) => a.period - b.period).map(row => ({
+      period: row.period,
+      orders: row.orders,
+      grossSales: round2(row.grossSales),
+      marketplaceFees: round2(row.marketplaceFees),
+      refunds: round2(row.refunds),
+      netEarnings: round2(row.grossSales - row.marketplaceFees - row.refundsPreTax)
+    }))
+  };
+}
+
+const CSV_COLUMNS = [
+  'date', 'type', 'orderNumber', 'status', 'items', 'itemPrice', 'discount',
+  'shipping', 'tax', 'total', 'marketplaceFee', 'refund', 'payoutStatus', 'payoutAmount'
+];
+
+function csvCell(value) {
+  if (value === undefined || value === null) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Spreadsheets run text starting with these as a formula (titles, usernames)
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Every sale and refund for a seller in a date range, as CSV text.
+ * One 'sale' row per order placed in the range and one 'refund' row per
+ * refund issued in it (on whichever order), in date order.
+ */
+async function exportTransactionsCsv(sellerId, { from, to } = {}) {
+  const range = parseRange({ from, to });
+  const orders = await Order.find(orderMatch(sellerId, range)).lean();
+  const refunds = await Order.aggregate([
+    ...refundPipeline(sellerId, range),
+    { $project: { orderNumber: 1, status: 1, items: 1, listingTitle: 1, refund: '$refunds' } }
+  ]);
+
+  const titlesOf = (order) => (order.items && order.items.length
+    ? order.items.map(i => i.title).join('; ')
+    : order.listingTitle);
+
+  const rows = [];
+  for (const order of orders) {
+    rows.push({
+      date: order.createdAt,
+      type: 'sale',
+      orderNumber: order.orderNumber,
+      status: order.status,
+      items: titlesOf(order),
+      itemPrice: order.amounts.itemPrice,
+      discount: order.amounts.discount,
+      shipping: order.amounts.shipping,
+      tax: order.amounts.tax,
+      total: order.amounts.total,
+      marketplaceFee: order.amounts.marketplaceFee,
+      payoutStatus: order.payout && order.payout.status,
+      payoutAmount: order.payout && order.payout.amount
+    });
+  }
+  for (const row of refunds) {
+    rows.push({
+      date: row.refund.createdAt,
+      type: 'refund',
+      orderNumber: row.orderNumber,
+      status: row.status,
+      items: titlesOf(row),
+      refund: row.refund.amount
+    });
+  }
+  // Stable sort keeps a sale ahead of a refund with the same timestamp
+  rows.sort((a, b) => a.date - b.date);
+
+  const lines = [CSV_COLUMNS.join(',')];
+  for (const row of rows) {
+    lines.push(CSV_COLUMNS.map(col => csvCell(row[col])).join(','));
+  }
+  return lines.join('\n') + '\n';
+}
+
+module.exports = { getEarnings, exportTransactionsCsv };
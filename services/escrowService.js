@@ -0,0 +1,157 @@
+// services/escrowService.js
+const stripe = require('../config/stripe');
+const marketplace = require('../config/marketplace');
+const Order = require('../models/Order');
+const httpError = require('../utils/httpError');
+const { refundOrder } = require('./refundService');
+const { recordContribution } = require('./contributionService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A payout only goes out once the item has left the seller
+const RELEASABLE = ['shipped', 'delivered', 'completed'];
+
+function assertReleasable(order) {
+  if (!RELEASABLE.includes(order.status)) {
+    throw httpError(400, 'The order has not been shipped or delivered yet');
+  }
+}
+
+/** When a payout held for an order delivered at `deliveredAt` auto-releases */
+function releaseDateFor(deliveredAt) {
+  return new Date(deliveredAt.getTime() + marketplace.escrowReleaseDays * DAY_MS);
+}
+
+/**
+ * Mark an order delivered and start the escrow window.
+ * Does not save; callers save together with their own changes.
+ */
+function markDelivered(order, by, note) {
+  order.transition('delivered', by, note);
+  order.payout.releaseAt = releaseDateFor(order.deliveredAt);
+  return order;
+}
+
+/**
+ * Transfer the held amount to the seller's Connect account and complete the order.
+ * Safe to call twice: a released payout is left alone.
+ */
+async function releasePayout(order, by, note) {
+  if (order.payout.status === 'released') return order;
+  if (order.payout.status !== 'held') {
+    throw httpError(400, `Payout is ${order.payout.status} and cannot be released`);
+  }
+  if (!order.payout.destination) {
+    throw httpError(400, 'Order has no payout account to release to');
+  }
+  assertReleasable(order);
+
+  const transfer = await stripe.transfers.create({
+    amount: Math.round(order.payout.amount * 100),
+    currency: order.currency,
+    destination: order.payout.destination,
+    ...(order.transferGroup && { transfer_group: order.transferGroup }),
+    ...(order.chargeId && { source_transaction: order.chargeId }),
+    metadata: { orderId: String(order._id), orderNumber: order.orderNumber }
+  }, {
+    // Stripe dedupes retries of the same release
+    idempotencyKey: `payout-release-${order._id}`
+  });
+
+  order.payout.status = 'released';
+  order.payout.transferId = transfer.id;
+  order.payout.releasedAt = new Date();
+  if (order.canTransitionTo('completed')) {
+    order.transition('completed', by, note);
+  }
+  await order.save();
+
+  // The sale is final; a ledger failure must not undo a payout that already went out
+  try {
+    await recordContribution(order);
+  } catch (err) {
+    console.error(`❌ Contribution not recorded for order ${order.orderNumber}:`, err.message);
+  }
+  return order;
+}
+
+/** Buyer reports a problem while the payout is still held; freezes release */
+async function openIssue(order, buyerId, { reason, description }) {
+  if (order.payout.status !== 'held') {
+    throw httpError(400, 'Issues can only be opened while the payout is held');
+  }
+  if (order.payout.releaseAt && order.payout.releaseAt < new Date()) {
+    throw httpError(400, 'The window for reporting an issue has closed');
+  }
+
+  order.payout.status = 'frozen';
+  order.issue = {
+    status: 'open',
+    reason,
+    description,
+    openedAt: new Date()
+  };
+  order.statusHistory.push({ status: order.status, note: `Issue opened: ${reason}`, by: buyerId });
+  return order.save();
+}
+
+/**
+ * Admin decision on an open issue: pay the seller or refund the buyer in full.
+ */
+async function resolveIssue(order, adminId, { resolution, note }) {
+  if (!order.issue || order.issue.status !== 'open') {
+    throw httpError(400, 'Order has no open issue');
+  }
+  if (resolution === 'release') assertReleasable(order);
+
+  order.issue.status = 'resolved';
+  order.issue.resolution = resolution;
+  order.issue.resolutionNote = note;
+  order.issue.resolvedBy = adminId;
+  order.issue.resolvedAt = new Date();
+
+  if (resolution === 'release') {
+    order.payout.status = 'held';
+    return releasePayout(order, adminId, 'Issue resolved in seller\'s favour');
+  }
+
+  return refundOrder(order, {
+    reason: note || 'Issue resolved with a refund',
+    by: adminId,
+    role: 'admin'
+  });
+}
+
+/**
+ * Release every held payout whose window has passed (cron entry point).
+ * @returns {Promise<{ released: number, failed: number }>}
+ */
+async function releaseDuePayouts(now = new Date()) {
+  const due = await Order.find({
+    status: 'delivered',
+    'payout.status': 'held',
+    'payout.releaseAt': { $lte: now }
+  });
+
+  let released = 0;
+  let failed = 0;
+  for (const order of due) {
+    try {
+      await releasePayout(order, null, 'Auto-released after escrow window');
+      released += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`❌ Payout release failed for order ${order.orderNumber}:`, err.message);
+    }
+  }
+  return { released, failed };
+}
+
+module.exports = {
+  releaseDateFor,
+  markDelivered,
+  releasePayout,
+  openIssue,
+  resolveIssue,
+  releaseDuePayouts
+};
@@ -0,0 +1,213 @@
+// services/invoiceService.js
+// Invoices for paid orders, as HTML and PDF. Everything shown comes from the
+// order, whose amounts and promotion were copied from the PaymentIntent
+// metadata at checkout, so the invoice matches what Stripe charged.
+const PDFDocument = require('pdfkit');
+const Order = require('../models/Order');
+const { sendMail } = require('./mailService');
+
+const money = (n, currency = 'usd') =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: currency.toUpperCase() }).format(n || 0);
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Plain invoice data for an order with buyer and seller populated.
+ */
+function buildInvoice(order) {
+  const { amounts, currency } = order;
+  const items = order.items.length
+    ? order.items
+    : [{ title: order.listingTitle, price: amounts.itemPrice, discount: amounts.discount }];
+
+  const address = order.shipping.address && order.shipping.address.street1
+    ? order.shipping.address
+    : null;
+
+  return {
+    number: order.orderNumber,
+    issuedAt: order.paidAt || order.createdAt,
+    currency,
+    buyer: { name: order.buyer.username, email: order.buyer.email },
+    seller: { name: order.seller.username, email: order.seller.email },
+    shippingMethod: order.shipping.method,
+    address,
+    items: items.map(i => ({ title: i.title, price: i.price, discount: i.discount || 0 })),
+    promotion: order.promotion && order.promotion.code
+      ? { code: order.promotion.code, percent: order.promotion.percent }
+      : null,
+    subtotal: amounts.itemPrice,
+    discount: amounts.discount || 0,
+    shipping: amounts.shipping || 0,
+    tax: amounts.tax || 0,
+    taxLabel: order.tax && order.tax.jurisdiction
+      ? `Sales tax (${order.tax.jurisdiction} ${order.tax.rate}%)`
+      : 'Sales tax',
+    total: amounts.total,
+    refunded: amounts.refunded || 0,
+    paymentIntentId: order.paymentIntentId
+  };
+}
+
+// [label, amount] rows under the line items
+function summaryRows(invoice) {
+  const rows = [['Subtotal', invoice.subtotal]];
+  if (invoice.discount) {
+    const label = invoice.promotion
+      ? `Promo ${invoice.promotion.code} (${invoice.promotion.percent}%)`
+      : 'Discount';
+    rows.push([label, -invoice.discount]);
+  }
+  rows.push([invoice.shippingMethod === 'pickup' ? 'Shipping (local pickup)' : 'Shipping', invoice.shipping]);
+  if (invoice.tax) rows.push([invoice.taxLabel, invoice.tax]);
+  rows.push(['Total paid', invoice.total]);
+  if (invoice.refunded) rows.push(['Refunded', -invoice.refunded]);
+  return rows;
+}
+
+function formatAddress(address) {
+  if (!address) return [];
+  return [
+    address.name,
+    address.street1,
+    address.street2,
+    `${address.city}, ${address.state} ${address.zipCode}`,
+    address.country
+  ].filter(Boolean);
+}
+
+function renderInvoiceHtml(invoice) {
+  const fmt = (n) => money(n, invoice.currency);
+  const itemRows = invoice.items.map(i => `
+        <tr>
+          <td>${escapeHtml(i.title)}</td>
+          <td class="num">${fmt(i.price)}</td>
+          <td class="num">${i.discount ? fmt(-i.discount) : ''}</td>
+        </tr>`).join('');
+  const totalRows = summaryRows(invoice).map(([label, amount]) => `
+        <tr><td colspan="2">${escapeHtml(label)}</td><td class="num">${fmt(amount)}</td></tr>`).join('');
+  const shipTo = formatAddress(invoice.address).map(escapeHtml).join('<br>');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Invoice ${escapeHtml(invoice.number)}</title>
+  <style>
+    body { font-family: Helvetica, Arial, sans-serif; color: #222; max-width: 640px; margin: 24px auto; }
+    table { width: 100%; border-collapse: collapse; margin-top: 16px; }
+    th, td { padding: 6px 4px; border-bottom: 1px solid #ddd; text-align: left; }
+    .num { text-align: right; }
+    .parties { display: flex; justify-content: space-between; margin-top: 16px; }
+  </style>
+</head>
+<body>
+  <h1>Summit Soles</h1>
+  <p>Invoice <strong>${escapeHtml(invoice.number)}</strong><br>
+     Date: ${invoice.issuedAt.toISOString().slice(0, 10)}</p>
+  <div class="parties">
+    <div><strong>Seller</strong><br>${escapeHtml(invoice.seller.name)}</div>
+    <div><strong>Buyer</strong><br>${escapeHtml(invoice.buyer.name)}${shipTo ? `<br>${shipTo}` : ''}</div>
+  </div>
+  <table>
+    <thead><tr><th>Item</th><th class="num">Price</th><th class="num">Discount</th></tr></thead>
+    <tbody>${itemRows}
+    </tbody>
+    <tfoot>${totalRows}
+    </tfoot>
+  </table>
+  <p style="font-size: 12px; color: #666;">Payment reference: ${escapeHtml(invoice.paymentIntentId)}</p>
+</body>
+</html>`;
+}
+
+/** @returns {Promise<Buffer>} */
+function renderInvoicePdf(invoice) {
+  const fmt = (n) => money(n, invoice.currency);
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'LETTER', margin: 50 });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    doc.fontSize(20).text('Summit Soles');
+    doc.moveDown(0.5).fontSize(11)
+      .text(`Invoice ${invoice.number}`)
+      .text(`Date: ${invoice.issuedAt.toISOString().slice(0, 10)}`);
+
+    doc.moveDown().font('Helvetica-Bold').text('Seller').font('Helvetica').text(invoice.seller.name);
+    doc.moveDown(0.5).font('Helvetica-Bold').text('Buyer').font('Helvetica').text(invoice.buyer.name);
+    for (const line of formatAddress(invoice.address)) doc.text(line);
+
+    const row = (label, amount, bold) => {
+      const y = doc.y;
+      doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+      doc.text(label, 50, y, { width: 380 });
+      doc.text(amount, 430, y, { width: 130, align: 'right' });
+      doc.moveDown(0.3);
+    };
+
+    doc.moveDown();
+    row('Item', 'Price', true);
+    for (const item of invoice.items) {
+      row(item.title, fmt(item.price));
+      if (item.discount) row('   discount', fmt(-item.discount));
+    }
+    doc.moveDown(0.5);
+    summaryRows(invoice).forEach(([label, amount]) => row(label, fmt(amount), label === 'Total paid'));
+
+    doc.moveDown().font('Helvetica').fontSize(9).fillColor('#666')
+      .text(`Payment reference: ${invoice.paymentIntentId}`, 50);
+    doc.end();
+  });
+}
+
+/** Load an order with the parties needed on the invoice */
+function loadInvoiceOrder(orderId) {
+  return Order.findById(orderId)
+    .populate('buyer', 'username email')
+    .populate('seller', 'username email');
+}
+
+/**
+ * Email the invoice (HTML body, PDF attached) to buyer and seller once per order.
+ */
+async function sendInvoiceEmails(orderId) {
+  const order = await loadInvoiceOrder(orderId);
+  if (!order || order.invoiceSentAt) return false;
+
+  const invoice = buildInvoice(order);
+  const html = renderInvoiceHtml(invoice);
+  const pdf = await renderInvoicePdf(invoice);
+  const attachments = [{ filename: `invoice-${invoice.number}.pdf`, content: pdf, contentType: 'application/pdf' }];
+
+  await sendMail({
+    to: invoice.buyer.email,
+    subject: `Your Summit Soles receipt for order ${invoice.number}`,
+    html,
+    attachments
+  });
+  await sendMail({
+    to: invoice.seller.email,
+    subject: `You made a sale: order ${invoice.number}`,
+    html,
+    attachments
+  });
+
+  await Order.updateOne({ _id: order._id }, { $set: { invoiceSentAt: new Date() } });
+  return true;
+}
+
+module.exports = {
+  buildInvoice,
+  renderInvoiceHtml,
+  renderInvoicePdf,
+  loadInvoiceOrder,
+  sendInvoiceEmails
+};
@@ -0,0 +1,38 @@
+// services/mailService.js
+const fs = require('fs/promises');
+const path = require('path');
+const { transporter, from, mode, fileDir, isConfigured } = require('../config/mailer');
+
+// Messages sent with MAIL_TRANSPORT=memory, newest last
+const outbox = [];
+
+/**
+ * Send one email. Without SMTP configured the message is logged, written to
+ * MAIL_DIR or kept in the outbox, depending on MAIL_TRANSPORT.
+ * @param {object} mail nodemailer message ({ to, subject, html, text, attachments })
+ */
+async function sendMail(mail) {
+  const info = await transporter.sendMail({ from, ...mail });
+
+  if (mode === 'file') {
+    await fs.mkdir(fileDir, { recursive: true });
+    const name = `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`;
+    await fs.writeFile(path.join(fileDir, name), info.message);
+  } else if (mode === 'memory') {
+    outbox.push({ ...mail, from, messageId: info.messageId, sentAt: new Date() });
+  } else if (!isConfigured) {
+    console.log(`✉️  Email (not sent, SMTP not configured) to ${mail.to}: ${mail.subject}`);
+  }
+  return info;
+}
+
+/** Emails captured by the memory transport */
+function getOutbox() {
+  return outbox;
+}
+
+function clearOutbox() {
+  outbox.length = 0;
+}
+
+module.exports = { sendMail, getOutbox, clearOutbox };
@@ -0,0 +1,192 @@
+// services/notificationService.js
+// Offer emails. Each user chooses instant emails, an hourly digest or none
+// (User.offerEmails, with User.emailNotifications as the master switch), and
+// may set quiet hours during which nothing is sent. Anything not sent right
+// away is queued as an EmailNotification and sent by flushDueNotifications.
+const marketplace = require('../config/marketplace');
+const EmailNotification = require('../models/EmailNotification');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const { sendMail } = require('./mailService');
+
+const QUARTER_HOUR_MS = 15 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const PREFS = 'email username emailNotifications offerEmails quietHours';
+
+function localHour(date, timeZone) {
+  return Number(new Intl.DateTimeFormat('en-US', { hour: 'numeric', hourCycle: 'h23', timeZone }).format(date));
+}
+
+/** Whether `date` falls in the user's quiet hours (a window may wrap midnight) */
+function inQuietHours(quietHours, date = new Date()) {
+  if (!quietHours || !quietHours.enabled) return false;
+  const { start, end } = quietHours;
+  const hour = localHour(date, quietHours.timeZone || 'UTC');
+  return start <= end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/** When quiet hours next end, or null when `date` isn't in them */
+function quietUntil(quietHours, date = new Date()) {
+  if (!inQuietHours(quietHours, date)) return null;
+  // Quarter-hour steps also cover time zones offset by :30 or :45
+  let t = new Date(Math.ceil(date.getTime() / QUARTER_HOUR_MS) * QUARTER_HOUR_MS);
+  while (inQuietHours(quietHours, t)) t = new Date(t.getTime() + QUARTER_HOUR_MS);
+  return t;
+}
+
+const wantsOfferEmails = (user) =>
+  !!user && !!user.email && user.emailNotifications !== false && user.offerEmails !== 'off';
+
+// Subject and text for one event, worded for the recipient
+function describe(offer, event, { title, amount, toBuyer }) {
+  const item = `"${title}"`;
+  const link = `${marketplace.clientUrl}/offers/${offer._id}`;
+  const respondBy = offer.expiresAt ? ` Respond by ${offer.expiresAt.toUTCString()}.` : '';
+
+  switch (event) {
+    case 'created':
+      // A buyer hears about a new offer only when the seller made it (price-drop broadcast)
+      return toBuyer
+        ? {
+            subject: `Price drop: ${item} for $${amount}`,
+            text: `The seller is offering ${item} to you for $${amount} (was $${offer.originalPrice}). The first buyer to accept gets it.${respondBy}\n${link}`
+          }
+        : {
+            subject: `New offer of $${amount} on ${item}`,
+            text: `You have a new offer of $${amount} on ${item} (asking $${offer.originalPrice}).${respondBy}\n${link}`
+          };
+    case 'countered':
+      return {
+        subject: `Counter offer of $${amount} on ${item}`,
+        text: `${toBuyer ? 'The seller' : 'The buyer'} countered with $${amount} on ${item}.${respondBy}\n${link}`
+      };
+    case 'accepted':
+      return {
+        subject: `Offer accepted on ${item}`,
+        text: toBuyer
+          ? `Your offer of $${amount} on ${item} was accepted. Please pay by ${offer.paymentDueAt ? offer.paymentDueAt.toUTCString() : 'the deadline'} to complete the purchase.\n${link}`
+          : `The buyer accepted your counter of $${amount} on ${item}. The listing is reserved until they pay.\n${link}`
+      };
+    case 'declined':
+      return {
+        subject: `Offer declined on ${item}`,
+        text: `${toBuyer ? 'Your offer' : 'Your counter'} of $${amount} on ${item} was declined.\n${link}`
+      };
+    case 'expired':
+      return {
+        subject: `Offer expired on ${item}`,
+        text: `The offer of $${amount} on ${item} has expired.\n${link}`
+      };
+    default:
+      throw new Error(`Unknown offer event "${event}"`);
+  }
+}
+
+async function listingTitle(offer) {
+  const ids = offer.listingIds();
+  if (ids.length > 1) return `a bundle of ${ids.length} items`;
+  if (offer.listing && offer.listing.title) return offer.listing.title;
+  const listing = await Product.findById(ids[0]).select('title');
+  return listing ? listing.title : 'your listing';
+}
+
+/**
+ * Email `recipientId` about an offer event, now or queued according to their
+ * preferences. Best-effort: failures are logged, never thrown, so callers can
+ * fire and forget.
+ * @param {object} offer
+ * @param {'created'|'countered'|'accepted'|'declined'|'expired'} event
+ * @param {string} recipientId buyer or seller on the offer
+ * @param {object} [opts]
+ * @param {number} [opts.amount] amount to mention (defaults to offerAmount)
+ * @param {Date} [opts.now]
+ */
+async function notifyOfferEvent(offer, event, recipientId, { amount = offer.offerAmount, now = new Date() } = {}) {
+  try {
+    const user = await User.findById(recipientId._id || recipientId).select(PREFS);
+    if (!wantsOfferEmails(user)) return null;
+
+    const toBuyer = String(user._id) === String(offer.buyer._id || offer.buyer);
+    const { subject, text } = describe(offer, event, { title: await listingTitle(offer), amount, toBuyer });
+
+    const heldUntil = quietUntil(user.quietHours, now);
+    if (user.offerEmails === 'instant' && !heldUntil) {
+      await sendMail({ to: user.email, subject, text });
+      return { sent: true };
+    }
+
+    // Digest: the next hour boundary, pushed past quiet hours if it lands in them
+    let sendAfter = heldUntil || now;
+    if (user.offerEmails === 'digest') {
+      const nextHour = new Date(Math.floor(now.getTime() / HOUR_MS) * HOUR_MS + HOUR_MS);
+      sendAfter = quietUntil(user.quietHours, nextHour) || nextHour;
+    }
+
+    await EmailNotification.create({ user: user._id, offer: offer._id, event, subject, text, sendAfter });
+    return { sent: false, sendAfter };
+  } catch (err) {
+    console.error(`❌ Offer ${event} email failed for offer ${offer._id}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Send every queued notification that is due: one email per user, a digest
+ * when several are waiting (cron entry point). Users who turned offer emails
+ * off are skipped; users now in quiet hours are deferred again.
+ * @returns {Promise<{ sent: number, skipped: number, deferred: number }>}
+ */
+async function flushDueNotifications(now = new Date()) {
+  const due = await EmailNotification.find({ status: 'pending', sendAfter: { $lte: now } })
+    .sort({ createdAt: 1 });
+
+  const byUser = new Map();
+  for (const n of due) {
+    const key = String(n.user);
+    if (!byUser.has(key)) byUser.set(key, []);
+    byUser.get(key).push(n);
+  }
+
+  const result = { sent: 0, skipped: 0, deferred: 0 };
+  for (const [userId, items] of byUser) {
+    const ids = items.map(n => n._id);
+    try {
+      const user = await User.findById(userId).select(PREFS);
+
+      if (!wantsOfferEmails(user)) {
+        await EmailNotification.updateMany({ _id: { $in: ids } }, { $set: { status: 'skipped', sentAt: now } });
+        result.skipped += items.length;
+        continue;
+      }
+
+      const heldUntil = quietUntil(user.quietHours, now);
+      if (heldUntil) {
+        await EmailNotification.updateMany({ _id: { $in: ids } }, { $set: { sendAfter: heldUntil } });
+        result.deferred += items.length;
+        continue;
+      }
+
+      const mail = items.length === 1
+        ? { subject: items[0].subject, text: items[0].text }
+        : {
+            subject: `${items.length} offer updates on Summit Soles`,
+            text: items.map(n => `• ${n.subject}\n  ${n.text.replace(/\n/g, '\n  ')}`).join('\n\n')
+          };
+      await sendMail({ to: user.email, ...mail });
+
+      await EmailNotification.updateMany({ _id: { $in: ids } }, { $set: { status: 'sent', sentAt: now } });
+      result.sent += items.length;
+    } catch (err) {
+      console.error(`❌ Offer email digest failed for user ${userId}:`, err.message);
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  inQuietHours,
+  quietUntil,
+  notifyOfferEvent,
+  flushDueNotifications
+};
@@ -0,0 +1,167 @@
+// services/offerExpiryService.js
+// Round deadlines for open offers: 'pending' ones wait on the seller,
+// 'countered' ones on the buyer. The side that has to respond is reminded
+// a few hours before the deadline, and the offer expires once it passes.
+// Only the cron job writes; reads report an overdue offer as expired
+// (effectiveStatus) without saving it.
+// Every function takes `now` so callers control the clock.
+const marketplace = require('../config/marketplace');
+const Offer = require('../models/Offer');
+const { postOfferMessage } = require('./offerService');
+const { notifyOfferEvent } = require('./notificationService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const OPEN = ['pending', 'countered'];
+
+/** Status to show for an offer: open offers past their deadline read as 'expired' */
+function effectiveStatus(offer, now = new Date()) {
+  return offer.isExpired(now) ? 'expired' : offer.status;
+}
+
+/** Offer as JSON with its effective status */
+function withEffectiveStatus(offer, now = new Date()) {
+  return { ...offer.toJSON(), status: effectiveStatus(offer, now) };
+}
+
+/**
+ * Query condition matching offers whose effective status is `status`, so
+ * a ?status= filter agrees with what effectiveStatus reports.
+ */
+function statusFilter(status, now = new Date()) {
+  if (OPEN.includes(status)) {
+    return { status, expiresAt: { $gt: now } };
+  }
+  if (status === 'expired') {
+    return { $or: [{ status: 'expired' }, { status: { $in: OPEN }, expiresAt: { $lte: now } }] };
+  }
+  return { status };
+}
+
+const itemName = (offer) => (offer.isBundle
+  ? `your bundle of ${offer.listings.length} items`
+  : `"${offer.listing && offer.listing.title ? offer.listing.title : 'this listing'}"`);
+
+/**
+ * Remind the responding side of offers expiring within offerReminderHours,
+ * once per round. Rounds no longer than the reminder window are skipped.
+ * @returns {Promise<number>} reminders sent
+ */
+async function sendExpiryReminders(now = new Date()) {
+  const soon = new Date(now.getTime() + marketplace.offerReminderHours * HOUR_MS);
+  const offers = await Offer.find({
+    status: { $in: OPEN },
+    expiresAt: { $gt: now, $lte: soon },
+    $expr: { $ne: ['$reminderRound', '$round'] }
+  }).populate('listing', 'title');
+
+  let sent = 0;
+  for (const offer of offers) {
+    // A broadcast sets its own deadline when it is created
+    const roundHours = offer.initiatedBy === 'seller'
+      ? (offer.expiresAt - offer.createdAt) / HOUR_MS
+      : (offer.rules && offer.rules.expiryHours) || marketplace.offerRoundExpiryHours;
+    if (roundHours <= marketplace.offerReminderHours) continue;
+
+    // Claim the reminder so overlapping runs don't send it twice
+    const { modifiedCount } = await Offer.updateOne(
+      { _id: offer._id, status: offer.status, round: offer.round, reminderRound: { $ne: offer.round } },
+      { $set: { reminderRound: offer.round } }
+    );
+    if (!modifiedCount) continue;
+
+    const toSeller = offer.awaitingResponseFrom() === 'seller';
+    const deadline = offer.expiresAt.toUTCString();
+    await postOfferMessage(offer, {
+      sender: toSeller ? offer.buyer : offer.seller,
+      receiver: toSeller ? offer.seller : offer.buyer,
+      amount: toSeller ? offer.offerAmount : offer.counterOffer.amount,
+      action: 'reminder',
+      message: toSeller
+        ? `Reminder: the offer of $${offer.offerAmount} on ${itemName(offer)} expires at ${deadline}. Accept, counter or decline it before then.`
+        : offer.initiatedBy === 'seller'
+          ? `Reminder: the seller's offer of $${offer.counterOffer.amount} on ${itemName(offer)} expires at ${deadline}. Accept it before then if you want it.`
+          : `Reminder: the seller's counter of $${offer.counterOffer.amount} on ${itemName(offer)} expires at ${deadline}. Respond before then to keep negotiating.`
+    });
+    sent += 1;
+  }
+  return sent;
+}
+
+/**
+ * Expire open offers whose round deadline has passed and tell both sides.
+ * Each offer is expired with a conditional update, so one that was answered
+ * in the meantime is left alone.
+ * @returns {Promise<number>} offers expired
+ */
+async function expireOffers(now = new Date()) {
+  const candidates = await Offer.find({ status: { $in: OPEN }, expiresAt: { $lte: now } })
+    .populate('listing', 'title');
+
+  let expired = 0;
+  for (const offer of candidates) {
+    const updated = await Offer.findOneAndUpdate(
+      { _id: offer._id, status: offer.status, expiresAt: { $lte: now } },
+      {
+        $set: { status: 'expired' },
+        $push: { history: { action: 'expired', amount: offer.offerAmount, round: offer.round, timestamp: now } }
+      },
+      { new: true }
+    );
+    if (!updated) continue;
+    expired += 1;
+
+    // The side that made the last move is told the other didn't answer in time
+    if (offer.status === 'pending') {
+      await postOfferMessage(offer, {
+        sender: offer.seller,
+        receiver: offer.buyer,
+        amount: offer.offerAmount,
+        action: 'expired',
+        message: `Your offer of $${offer.offerAmount} has expired. Feel free to make a new offer if you're still interested.`
+      });
+    } else if (offer.initiatedBy === 'seller') {
+      // Price-drop broadcast: only the buyer hears, so the seller isn't sent one per favoriter
+      await postOfferMessage(offer, {
+        sender: offer.seller,
+        receiver: offer.buyer,
+        amount: offer.counterOffer.amount,
+        action: 'expired',
+        message: `The seller's offer of $${offer.counterOffer.amount} on ${itemName(offer)} has expired.`
+      });
+    } else {
+      await postOfferMessage(offer, {
+        sender: offer.buyer,
+        receiver: offer.seller,
+        amount: offer.counterOffer.amount,
+        action: 'expired',
+        message: `Your counter offer of $${offer.counterOffer.amount} on ${itemName(offer)} expired without a response from the buyer.`
+      });
+    }
+
+    updated.listing = offer.listing;
+    notifyOfferEvent(updated, 'expired', offer.buyer, { now });
+    if (offer.initiatedBy !== 'seller') {
+      notifyOfferEvent(updated, 'expired', offer.seller, { now });
+    }
+  }
+  return expired;
+}
+
+/**
+ * Cron entry point: reminders first, then expiry.
+ * @returns {Promise<{ reminded: number, expired: number }>}
+ */
+async function processOfferExpiry(now = new Date()) {
+  const reminded = await sendExpiryReminders(now);
+  const expired = await expireOffers(now);
+  return { reminded, expired };
+}
+
+module.exports = {
+  effectiveStatus,
+  withEffectiveStatus,
+  statusFilter,
+  sendExpiryReminders,
+  expireOffers,
+  processOfferExpiry
+};
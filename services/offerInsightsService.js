@@ -0,0 +1,133 @@
+// services/offerInsightsService.js
+// Per-listing offer insights for sellers: how many offers a listing drew,
+// how close they came to the asking price, how fast the first one arrived,
+// and whether a price drop looks worthwhile given offers and views.
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const Product = require('../models/Product');
+const httpError = require('../utils/httpError');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Offers per view at or above which demand is strong enough to hold the price
+const STRONG_OFFER_RATE = 0.05;
+// Views with no offers after which a small drop is suggested
+const NO_OFFER_VIEWS = 50;
+const NO_OFFER_DAYS = 7;
+const NO_OFFER_DROP_PERCENT = 10;
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function median(values) {
+  if (!values.length) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Most the buyer put on the table: their opening offer or a later counter
+function bestBuyerAmount(offer) {
+  const amounts = offer.history
+    .filter(h => ['created', 'countered'].includes(h.action) && String(h.by) === String(offer.buyer) && h.amount)
+    .map(h => h.amount);
+  return amounts.length ? Math.max(...amounts) : offer.offerAmount;
+}
+
+/**
+ * Suggest a new price, or null to hold. With offers: halfway between the
+ * asking price and the median offer, unless offers per view show strong
+ * demand or the median is already within 5% of asking. Without offers: a
+ * small drop once the listing has been seen plenty and sat for a week.
+ */
+function suggestPrice(listing, { medianPercent, offerCount, now }) {
+  if (listing.status !== 'available') return null;
+  const views = listing.views || 0;
+
+  if (!offerCount) {
+    const ageDays = (now - listing.createdAt) / DAY_MS;
+    if (views < NO_OFFER_VIEWS || ageDays < NO_OFFER_DAYS) return null;
+    return {
+      price: Math.round(listing.price * (100 - NO_OFFER_DROP_PERCENT)) / 100,
+      dropPercent: NO_OFFER_DROP_PERCENT,
+      reason: `${views} views and no offers in ${Math.floor(ageDays)} days`
+    };
+  }
+
+  if (views && offerCount / views >= STRONG_OFFER_RATE) return null;
+  if (medianPercent >= 95) return null;
+
+  const targetPercent = (100 + medianPercent) / 2;
+  return {
+    price: Math.round(listing.price * targetPercent) / 100,
+    dropPercent: round1(100 - targetPercent),
+    reason: `Offers are a median ${round1(medianPercent)}% of asking from ${offerCount} offer${offerCount === 1 ? '' : 's'} and ${views} views`
+  };
+}
+
+/**
+ * Offer insights for each of a seller's listings (or one listing).
+ * Bundle offers count toward every listing in the bundle, at the bundle's
+ * percentage of its combined asking price.
+ * @param {string} sellerId
+ * @param {object} [opts]
+ * @param {string} [opts.listingId]
+ * @param {Date} [opts.now]
+ */
+async function getListingInsights(sellerId, { listingId, now = new Date() } = {}) {
+  const query = { seller: sellerId, status: { $ne: 'removed' } };
+  if (listingId) {
+    if (!mongoose.isValidObjectId(listingId)) throw httpError(404, 'Listing not found');
+    query._id = listingId;
+  }
+
+  const listings = await Product.find(query)
+    .select('title price status views createdAt')
+    .sort({ createdAt: -1 });
+  if (listingId && !listings.length) throw httpError(404, 'Listing not found');
+
+  const ids = listings.map(l => l._id);
+  // Only offers buyers made; the seller's own price-drop broadcasts aren't demand
+  const offers = await Offer.find({
+    seller: sellerId,
+    initiatedBy: { $ne: 'seller' },
+    $or: [{ listing: { $in: ids } }, { listings: { $in: ids } }]
+  }).select('listing listings buyer offerAmount originalPrice history createdAt');
+
+  const byListing = new Map(ids.map(id => [String(id), []]));
+  for (const offer of offers) {
+    if (!offer.originalPrice) continue;
+    const percent = (bestBuyerAmount(offer) / offer.originalPrice) * 100;
+    for (const id of offer.listingIds()) {
+      const bucket = byListing.get(String(id));
+      if (bucket) bucket.push({ percent, createdAt: offer.createdAt, isBundle: offer.isBundle });
+    }
+  }
+
+  return listings.map(listing => {
+    const entries = byListing.get(String(listing._id));
+    const percents = entries.map(e => e.percent);
+    const firstAt = entries.length ? Math.min(...entries.map(e => e.createdAt.getTime())) : null;
+    const medianPercent = median(percents);
+    const views = listing.views || 0;
+
+    return {
+      listing: {
+        id: listing._id,
+        title: listing.title,
+        price: listing.price,
+        status: listing.status,
+        views
+      },
+      offers: entries.length,
+      bundleOffers: entries.filter(e => e.isBundle).length,
+      highestPercent: percents.length ? round1(Math.max(...percents)) : null,
+      medianPercent: medianPercent === null ? null : round1(medianPercent),
+      hoursToFirstOffer: firstAt === null ? null : round1((firstAt - listing.createdAt) / HOUR_MS),
+      offersPerView: views ? Math.round((entries.length / views) * 1000) / 1000 : null,
+      suggestedPrice: suggestPrice(listing, { medianPercent, offerCount: entries.length, now })
+    };
+  });
+}
+
+module.exports = { getListingInsights };
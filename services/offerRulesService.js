@@ -0,0 +1,48 @@
+// services/offerRulesService.js
+// Resolve which offer rules apply to a new offer and enforce the ones that
+// stop it being made at all. The price rules (auto-accept, counter band) are
+// evaluated on the offer itself (Offer#checkAutoResponse).
+const httpError = require('../utils/httpError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A rule counts as set when its deciding value is
+const RULE_SET = {
+  minAccountAgeDays: r => r.minAccountAgeDays != null,
+  expiryHours: r => r.expiryHours != null,
+  counterBand: r => !!r.counterBand && r.counterBand.counterPercent != null,
+  trustedBuyers: r => !!r.trustedBuyers && r.trustedBuyers.autoAcceptPercent != null
+};
+
+const plain = (rules) => (rules && rules.toObject ? rules.toObject() : rules) || {};
+
+/**
+ * Rules for an offer on `listings` from `seller`: the listing's own rules
+ * win over the seller's account-wide ones, rule by rule. A bundle spans
+ * several listings, so only the account-wide rules apply to it.
+ * @returns {object} plain rules object (may be empty)
+ */
+function resolveOfferRules({ listings, seller }) {
+  const account = plain(seller && seller.offerRules);
+  const own = listings.length === 1 ? plain(listings[0].offerRules) : {};
+
+  const rules = {};
+  for (const [name, isSet] of Object.entries(RULE_SET)) {
+    if (isSet(own)) rules[name] = own[name];
+    else if (isSet(account)) rules[name] = account[name];
+  }
+  return rules;
+}
+
+/** Throw 403 when the buyer's account is too new for the seller's rules */
+function assertBuyerAllowed(rules, buyer, now = new Date()) {
+  if (!rules.minAccountAgeDays || !buyer) return;
+
+  const ageDays = (now - buyer.createdAt) / DAY_MS;
+  if (ageDays < rules.minAccountAgeDays) {
+    throw httpError(403,
+      `This seller only accepts offers from accounts at least ${rules.minAccountAgeDays} days old`);
+  }
+}
+
+module.exports = { resolveOfferRules, assertBuyerAllowed };
@@ -0,0 +1,415 @@
+// services/offerService.js
+const mongoose = require('mongoose');
+const marketplace = require('../config/marketplace');
+const Offer = require('../models/Offer');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const httpError = require('../utils/httpError');
+const { resolveOfferRules, assertBuyerAllowed } = require('./offerRulesService');
+const { notifyOfferEvent } = require('./notificationService');
+
+const HOUR_MS = 60 * 60 * 1000;
+const OFFER_COOLDOWN_HOURS = 24;
+const BROADCAST_MAX_HOURS = 7 * 24;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Split a bundle price across its listings in proportion to their list
+ * prices, so each reserved listing carries its share and the shares add up
+ * to exactly `amount`.
+ * @returns {number[]} one amount per listing, in order
+ */
+function allocateBundleAmount(amount, listings) {
+  const listTotal = listings.reduce((sum, l) => sum + l.price, 0);
+  let remaining = round2(amount);
+  return listings.map((listing, i) => {
+    if (i === listings.length - 1) return remaining;
+    const share = round2(amount * (listing.price / listTotal));
+    remaining = round2(remaining - share);
+    return share;
+  });
+}
+
+/**
+ * Accept an offer and reserve its listings for the buyer until the payment
+ * deadline, in one transaction:
+ *  - every listing (all of a bundle) is claimed only if it is still `available`
+ *  - the offer is accepted only if it is still in `fromStatus` (and unexpired)
+ *  - every other open offer on any of the listings is declined
+ * If another acceptance got there first nothing is written and a 409 is thrown.
+ *
+ * @param {object} offer
+ * @param {object} opts
+ * @param {string} opts.by                 user accepting (seller, or buyer for a counter)
+ * @param {'pending'|'countered'} [opts.fromStatus='pending']
+ * @param {number} [opts.amount]           agreed price, defaults to offer.offerAmount
+ * @returns {Promise<{ offer: object, listing: object, listings: object[], paymentDueAt: Date, declined: number }>}
+ */
+async function acceptOffer(offer, { by, fromStatus = 'pending', amount = offer.offerAmount }) {
+  const listingIds = offer.listingIds();
+  const buyerId = offer.buyer._id || offer.buyer;
+  const session = await mongoose.startSession();
+  let result;
+
+  try {
+    await session.withTransaction(async () => {
+      const now = new Date();
+      const paymentDueAt = new Date(now.getTime() + marketplace.offerPaymentWindowHours * HOUR_MS);
+
+      const current = await Product.find({ _id: { $in: listingIds } }).select('price').session(session);
+      const byId = new Map(current.map(l => [String(l._id), l]));
+      const ordered = listingIds.map(id => byId.get(String(id)));
+      if (ordered.some(l => !l)) {
+        throw httpError(409, 'A listing in this offer has been removed');
+      }
+      const shares = allocateBundleAmount(amount, ordered);
+
+      const listings = [];
+      for (const [i, listingId] of listingIds.entries()) {
+        const listing = await Product.findOneAndUpdate(
+          { _id: listingId, status: 'available' },
+          {
+            $set: {
+              status: 'pending',
+              reservation: { buyer: buyerId, offer: offer._id, amount: shares[i], expiresAt: paymentDueAt }
+            }
+          },
+          { new: true, session }
+        );
+        if (!listing) {
+          throw httpError(409, listingIds.length > 1
+            ? 'An item in this bundle has already been sold or reserved for another buyer'
+            : 'This listing has already been sold or reserved for another buyer');
+        }
+        listings.push(listing);
+      }
+
+      const accepted = await Offer.findOneAndUpdate(
+        {
+          _id: offer._id,
+          status: fromStatus,
+          ...(fromStatus === 'pending' && { expiresAt: { $gt: now } })
+        },
+        {
+          $set: { status: 'accepted', acceptedAt: now, offerAmount: amount, paymentDueAt },
+          $push: { history: { action: 'accepted', amount, round: offer.round, timestamp: now, by } }
+        },
+        { new: true, session }
+      );
+      if (!accepted) {
+        throw httpError(409, 'This offer is no longer open');
+      }
+
+      const { modifiedCount } = await Offer.updateMany(
+        {
+          $or: [{ listing: { $in: listingIds } }, { listings: { $in: listingIds } }],
+          status: { $in: ['pending', 'countered'] },
+          _id: { $ne: offer._id }
+        },
+        {
+          $set: { status: 'declined', declinedAt: now },
+          $push: { history: { action: 'declined', timestamp: now, by: listings[0].seller } }
+        },
+        { session }
+      );
+
+      result = { offer: accepted, listing: listings[0], listings, paymentDueAt, declined: modifiedCount };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return result;
+}
+
+// Post an offer message into the buyer/seller conversation and bump the receiver's unread count
+async function postOfferMessage(offer, { sender, receiver, message, amount, action }) {
+  const id = (ref) => ref._id || ref;
+  const listing = id(offer.listing);
+  const conversation = await Conversation.findOrCreate([id(offer.buyer), id(offer.seller)], listing);
+  const msg = await Message.create({
+    conversation: conversation._id,
+    sender: id(sender),
+    receiver: id(receiver),
+    listing,
+    message,
+    isOffer: true,
+    offerDetails: { offerId: offer._id, amount, action }
+  });
+  conversation.lastMessage = msg._id;
+  conversation.lastMessageAt = new Date();
+  await conversation.incrementUnread(id(receiver));
+  return msg;
+}
+
+/**
+ * Make an offer on one listing, or a bundle of listings from one seller.
+ * Every offer endpoint goes through here, so validation, the cooldown, the
+ * seller's offer rules and auto-responses are the same everywhere.
+ *
+ *  - listings must exist, be available, accept offers and share a seller
+ *  - a buyer may re-offer on a listing only 24 hours after their last
+ *    pending offer on it (which is then withdrawn)
+ *  - the seller's rules may refuse the buyer, or accept, decline or counter
+ *    the offer on the spot; otherwise the seller is messaged
+ *
+ * @param {object} opts
+ * @param {string} opts.buyerId
+ * @param {string[]} opts.listingIds   one id, or several for a bundle
+ * @param {number} opts.offerAmount
+ * @param {string} [opts.message]
+ * @returns {Promise<{ offer: object, autoResponse: 'accept'|'decline'|'counter'|null }>}
+ */
+async function createOffer({ buyerId, listingIds, offerAmount, message }) {
+  const ids = [...new Set((listingIds || []).filter(Boolean).map(String))];
+  if (!ids.length) throw httpError(400, 'listingId is required');
+  const isBundle = ids.length > 1;
+
+  const maxListings = Math.min(marketplace.maxBundleListings, marketplace.maxItemsPerSellerCheckout);
+  if (ids.length > maxListings) {
+    throw httpError(400, `A bundle can include at most ${maxListings} listings`);
+  }
+  if (ids.some(id => !mongoose.isValidObjectId(id))) {
+    throw httpError(404, 'Listing not found');
+  }
+
+  const amount = Number(offerAmount);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw httpError(400, 'Offer must be a positive number');
+  }
+
+  // Validate listings exist and are available
+  const found = await Product.find({ _id: { $in: ids } }).populate('seller', 'offerRules');
+  const listings = ids.map(id => found.find(l => String(l._id) === id));
+  if (listings.some(l => !l)) throw httpError(404, 'Listing not found');
+  const listing = listings[0];
+
+  const sellerId = listing.seller._id;
+  if (listings.some(l => String(l.seller._id) !== String(sellerId))) {
+    throw httpError(400, 'All listings in a bundle must be from the same seller');
+  }
+
+  const unavailable = listings.find(l => l.status !== 'available');
+  if (unavailable) {
+    throw httpError(400, isBundle ? `"${unavailable.title}" is no longer available` : 'Listing is no longer available');
+  }
+
+  const noOffers = listings.find(l => !l.acceptsOffers);
+  if (noOffers) {
+    throw httpError(400, isBundle ? `"${noOffers.title}" does not accept offers` : 'This listing does not accept offers');
+  }
+
+  // Prevent self-offers
+  if (String(sellerId) === String(buyerId)) {
+    throw httpError(400, 'You cannot make an offer on your own listing');
+  }
+
+  const originalPrice = listings.reduce((sum, l) => sum + l.price, 0);
+  if (amount > originalPrice) {
+    throw httpError(400, 'Offer cannot exceed the asking price');
+  }
+
+  // Seller's offer rules; some buyers can't make offers at all
+  const rules = resolveOfferRules({ listings, seller: listing.seller });
+  const buyer = await User.findById(buyerId).select('createdAt rating reviewCount');
+  assertBuyerAllowed(rules, buyer);
+
+  // Check for an open offer from this buyer (their own, or a counter or
+  // price drop waiting on them); it's withdrawn in favour of the new one
+  const existingOffer = await Offer.findOne({
+    $or: [{ listing: { $in: ids } }, { listings: { $in: ids } }],
+    buyer: buyerId,
+    status: { $in: ['pending', 'countered'] }
+  });
+
+  if (existingOffer) {
+    const hoursSinceOffer = (Date.now() - existingOffer.createdAt) / HOUR_MS;
+    if (hoursSinceOffer < OFFER_COOLDOWN_HOURS) {
+      throw httpError(400,
+        `Please wait ${Math.ceil(OFFER_COOLDOWN_HOURS - hoursSinceOffer)} more hours before making another offer`);
+    }
+    existingOffer.setStatus('withdrawn', buyerId);
+    await existingOffer.save();
+  }
+
+  // Auto-response thresholds only apply to a bundle when every listing sets one
+  const bundleThreshold = (field) => listings.every(l => l[field])
+    ? listings.reduce((sum, l) => sum + l[field], 0)
+    : undefined;
+
+  let offer = new Offer({
+    listing: listing._id,
+    ...(isBundle && { listings: listings.map(l => l._id) }),
+    buyer: buyerId,
+    seller: sellerId,
+    offerAmount: amount,
+    originalPrice,
+    message,
+    autoAcceptPrice: isBundle ? bundleThreshold('autoAcceptPrice') : listing.autoAcceptPrice,
+    minimumOffer: isBundle ? bundleThreshold('minimumOffer') : listing.minimumOffer,
+    rules
+  });
+  offer.expiresAt = offer.roundDeadline();
+
+  const autoResponse = offer.checkAutoResponse(buyer);
+
+  if (autoResponse === 'accept') {
+    // Saved as pending first; acceptOffer then claims the listings atomically
+    await offer.save();
+    let accepted;
+    try {
+      accepted = await acceptOffer(offer, { by: sellerId });
+    } catch (err) {
+      // Lost the listing to another buyer: don't leave a pending offer behind
+      offer.setStatus('declined', sellerId, { message: err.message });
+      offer.declinedAt = new Date();
+      await offer.save();
+      throw err;
+    }
+    offer = accepted.offer;
+
+    await postOfferMessage(offer, {
+      sender: sellerId,
+      receiver: buyerId,
+      amount,
+      action: 'accepted',
+      message: `Great news! Your offer of $${amount} has been automatically accepted. Please complete payment by ${accepted.paymentDueAt.toUTCString()}.`
+    });
+    notifyOfferEvent(offer, 'accepted', buyerId);
+    return { offer, autoResponse };
+  }
+
+  if (autoResponse === 'decline') {
+    offer.setStatus('declined', sellerId);
+    offer.declinedAt = new Date();
+    await offer.save();
+
+    await postOfferMessage(offer, {
+      sender: sellerId,
+      receiver: buyerId,
+      amount,
+      action: 'declined',
+      message: `Your offer of $${amount} is below the minimum acceptable price for ${isBundle ? 'this bundle' : 'this item'}.`
+    });
+    notifyOfferEvent(offer, 'declined', buyerId);
+  } else if (autoResponse === 'counter') {
+    // Offer fell in the seller's counter band: counter at their set price
+    const counterAmount = offer.autoCounterAmount();
+    offer.counterOffer = { amount: counterAmount, timestamp: new Date() };
+    offer.nextRound();
+    offer.setStatus('countered', sellerId, { amount: counterAmount });
+    await offer.save();
+
+    await postOfferMessage(offer, {
+      sender: sellerId,
+      receiver: buyerId,
+      amount: counterAmount,
+      action: 'countered',
+      message: `The seller has automatically countered your offer of $${amount} at $${counterAmount}. Please respond by ${offer.expiresAt.toUTCString()}.`
+    });
+    notifyOfferEvent(offer, 'countered', buyerId, { amount: counterAmount });
+  } else {
+    await offer.save();
+
+    await postOfferMessage(offer, {
+      sender: buyerId,
+      receiver: sellerId,
+      amount,
+      action: 'created',
+      message: message || `Offer of $${amount} for ${isBundle ? `a bundle of ${listings.length} items` : listing.title}`
+    });
+    notifyOfferEvent(offer, 'created', sellerId);
+  }
+
+  return { offer, autoResponse };
+}
+
+/**
+ * Price-drop offer from a seller to everyone who favorited a listing. Each
+ * recipient gets their own seller-initiated Offer, already 'countered' at
+ * `amount`, so they accept or decline it like a counter; acceptOffer makes
+ * the first acceptance win and declines the rest. Users already negotiating
+ * on the listing are skipped, and only one broadcast can be open at a time.
+ *
+ * @param {object} opts
+ * @param {string} opts.sellerId
+ * @param {string} opts.listingId
+ * @param {number} opts.amount
+ * @param {number} [opts.expiresInHours]   defaults to offerRoundExpiryHours
+ * @param {string} [opts.message]
+ * @returns {Promise<{ broadcastId: object, expiresAt: Date, sent: number, skipped: number }>}
+ */
+async function broadcastOffer({ sellerId, listingId, amount, expiresInHours = marketplace.offerRoundExpiryHours, message }) {
+  if (!mongoose.isValidObjectId(listingId)) throw httpError(404, 'Listing not found');
+  const listing = await Product.findById(listingId);
+  if (!listing) throw httpError(404, 'Listing not found');
+
+  if (String(listing.seller) !== String(sellerId)) {
+    throw httpError(403, 'You can only send offers for your own listings');
+  }
+  if (listing.status !== 'available') {
+    throw httpError(400, 'Listing is no longer available');
+  }
+
+  const price = Number(amount);
+  if (!Number.isFinite(price) || price <= 0 || price >= listing.price) {
+    throw httpError(400, 'Offer must be a positive amount below the asking price');
+  }
+  const hours = Number(expiresInHours);
+  if (!Number.isFinite(hours) || hours < 1 || hours > BROADCAST_MAX_HOURS) {
+    throw httpError(400, `Offer must last between 1 and ${BROADCAST_MAX_HOURS} hours`);
+  }
+
+  const now = new Date();
+  const open = await Offer.find({
+    $or: [{ listing: listing._id }, { listings: listing._id }],
+    status: { $in: ['pending', 'countered'] },
+    expiresAt: { $gt: now }
+  }).select('buyer initiatedBy');
+  if (open.some(o => o.initiatedBy === 'seller')) {
+    throw httpError(400, 'A price-drop offer is already open on this listing');
+  }
+
+  const negotiating = new Set(open.map(o => String(o.buyer)));
+  const favoriters = [...new Set(listing.favorites.map(String))].filter(id => id !== String(sellerId));
+  const recipients = favoriters.filter(id => !negotiating.has(id));
+  if (!recipients.length) {
+    throw httpError(400, favoriters.length
+      ? 'Everyone who favorited this listing is already negotiating on it'
+      : 'Nobody has favorited this listing yet');
+  }
+
+  const broadcastId = new mongoose.Types.ObjectId();
+  const expiresAt = new Date(now.getTime() + hours * HOUR_MS);
+  const offers = await Offer.create(recipients.map(buyer => ({
+    listing: listing._id,
+    buyer,
+    seller: sellerId,
+    initiatedBy: 'seller',
+    broadcastId,
+    status: 'countered',
+    offerAmount: price,
+    originalPrice: listing.price,
+    message,
+    counterOffer: { amount: price, message, timestamp: now },
+    expiresAt
+  })));
+
+  for (const offer of offers) {
+    await postOfferMessage(offer, {
+      sender: sellerId,
+      receiver: offer.buyer,
+      amount: price,
+      action: 'broadcast',
+      message: `${message ? `${message} ` : ''}The seller is offering "${listing.title}" to you for $${price} (was $${listing.price}) until ${expiresAt.toUTCString()}. The first buyer to accept gets it.`
+    });
+    notifyOfferEvent(offer, 'created', offer.buyer);
+  }
+
+  return { broadcastId, expiresAt, sent: offers.length, skipped: favoriters.length - recipients.length };
+}
+
+module.exports = { allocateBundleAmount, acceptOffer, createOffer, broadcastOffer, postOfferMessage };
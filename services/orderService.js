@@ -0,0 +1,233 @@
+// services/orderService.js
+const mongoose = require('mongoose');
+
+const stripe = require('../config/stripe');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const Conversation = require('../models/Conversation');
+const PromotionCode = require('../models/PromotionCode');
+const Cart = require('../models/Cart');
+const httpError = require('../utils/httpError');
+const { sendInvoiceEmails } = require('./invoiceService');
+
+const toDollars = (cents) => Math.round(cents) / 100;
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Item lines from intent metadata; single-listing intents created before
+// cart checkout only carry listingId/listingPrice/promoDiscount.
+function itemsFromMetadata(meta) {
+  if (meta.items) {
+    return JSON.parse(meta.items).map(i => ({
+      listingId: i.l,
+      price: Number(i.p),
+      discount: Number(i.d || 0)
+    }));
+  }
+  return [{
+    listingId: meta.listingId,
+    price: Number(meta.listingPrice),
+    discount: Number(meta.promoDiscount || 0)
+  }];
+}
+
+// Why `listing` can't go to `buyer`, or null: sold to someone else, or held
+// for another buyer's accepted offer
+function saleConflict(listing, buyer, now = new Date()) {
+  if (listing.status === 'sold' && String(listing.soldTo) !== String(buyer)) {
+    return `"${listing.title}" has already been sold to another buyer`;
+  }
+  const held = listing.reservation;
+  if (listing.status === 'pending' && held && held.buyer &&
+      String(held.buyer) !== String(buyer) && held.expiresAt > now) {
+    return `"${listing.title}" is reserved for another buyer`;
+  }
+  return null;
+}
+
+// Give the money back for a payment that can't become an order. The key makes
+// the confirm route and the webhook share one refund.
+function refundUnfulfillable(pi, reason) {
+  return stripe.refunds.create({
+    payment_intent: pi.id,
+    metadata: { reason, buyerId: (pi.metadata && pi.metadata.buyerId) || '' }
+  }, {
+    idempotencyKey: `unfulfillable-refund-${pi.id}`
+  });
+}
+
+/**
+ * Turn a succeeded PaymentIntent into an Order.
+ *
+ * Runs in a single transaction: creates the order, marks its listings sold,
+ * bumps promo usage + listing discount stats, the buyer/seller counters,
+ * flags the listings' conversations as a sale and removes them from the
+ * buyer's cart. The invoice is emailed to both parties afterwards. The
+ * seller's share starts out held (see services/escrowService.js). Calling it
+ * again for the same intent returns the existing order instead of creating a
+ * second one.
+ *
+ * If a listing was sold to, or is reserved for, another buyer in the meantime
+ * the payment is refunded and a 409 with `refunded: true` is thrown.
+ *
+ * @param {object} pi       Stripe PaymentIntent (retrieved, not client supplied)
+ * @param {object} [opts]
+ * @param {string} [opts.buyerId] authenticated buyer, required when the
+ *                                intent metadata does not carry one
+ * @returns {Promise<{ order: object, created: boolean }>}
+ */
+async function createOrderFromPaymentIntent(pi, { buyerId } = {}) {
+  if (pi.status !== 'succeeded') {
+    throw httpError(400, `Payment not complete (status: ${pi.status})`);
+  }
+
+  const existing = await Order.findOne({ paymentIntentId: pi.id });
+  if (existing) return { order: existing, created: false };
+
+  const meta = pi.metadata || {};
+  if (buyerId && meta.buyerId && meta.buyerId !== String(buyerId)) {
+    throw httpError(403, 'This payment belongs to another buyer');
+  }
+
+  const buyer = meta.buyerId || buyerId;
+  if (!buyer) throw httpError(400, 'Payment is not linked to a buyer');
+  if (!meta.listingId) throw httpError(400, 'Payment is not linked to a listing');
+
+  const lines = itemsFromMetadata(meta);
+  const session = await mongoose.startSession();
+  let order;
+
+  try {
+    await session.withTransaction(async () => {
+      const listings = [];
+      for (const line of lines) {
+        const listing = await Product.findById(line.listingId).session(session);
+        if (!listing) throw httpError(404, 'Listing not found');
+
+        const conflict = saleConflict(listing, buyer);
+        if (conflict) throw Object.assign(httpError(409, conflict), { saleConflict: true });
+        if (!Number.isFinite(line.price)) line.price = listing.price;
+        listings.push(listing);
+      }
+
+      const seller = listings[0].seller;
+      const itemPrice = round2(lines.reduce((sum, l) => sum + l.price, 0));
+      const discount = round2(lines.reduce((sum, l) => sum + l.discount, 0));
+      const shipping = Number(meta.shippingAmount || 0);
+      const total = toDollars(pi.amount_received || pi.amount);
+      const marketplaceFee = Number(meta.marketplaceFee || 0);
+      const tax = Number(meta.taxAmount || 0);
+
+      [order] = await Order.create([{
+        orderNumber: Order.generateOrderNumber(),
+        buyer,
+        seller,
+        listing: listings[0]._id,
+        listingTitle: listings[0].title,
+        items: listings.map((listing, i) => ({
+          listing: listing._id,
+          title: listing.title,
+          price: lines[i].price,
+          discount: lines[i].discount
+        })),
+        ...(meta.offerId && { offer: meta.offerId }),
+        currency: pi.currency,
+        amounts: {
+          itemPrice,
+          discount,
+          shipping,
+          tax,
+          total,
+          marketplaceFee
+        },
+        ...(tax > 0 && {
+          tax: { rate: Number(meta.taxRate || 0), jurisdiction: meta.taxJurisdiction }
+        }),
+        payout: {
+          status: 'held',
+          // Sales tax is collected and remitted by the marketplace, not paid out
+          amount: round2(total - marketplaceFee - tax),
+          destination: meta.sellerAccount
+        },
+        ...(meta.promoId && {
+          promotion: {
+            promotionId: meta.promoId,
+            code: meta.promoCode,
+            percent: Number(meta.promoPercent || 0),
+            discount
+          }
+        }),
+        shipping: {
+          method: meta.shippingMethod === 'shipping' ? 'shipping' : 'pickup',
+          ...(meta.shippingAddress && { address: JSON.parse(meta.shippingAddress) })
+        },
+        paymentIntentId: pi.id,
+        chargeId: typeof pi.latest_charge === 'string' ? pi.latest_charge : pi.latest_charge?.id,
+        transferGroup: pi.transfer_group,
+        statusHistory: [{ status: 'paid', by: buyer }]
+      }], { session });
+
+      // bump promo usage once per order (guard usageLimit)
+      if (meta.promoId) {
+        const promo = await PromotionCode.findById(meta.promoId).session(session);
+        if (promo && (!promo.usageLimit || promo.timesUsed < promo.usageLimit)) {
+          promo.timesUsed += 1;
+          await promo.save();
+        }
+      }
+
+      for (const [i, listing] of listings.entries()) {
+        const { price, discount: itemDiscount } = lines[i];
+
+        // listing discount stats, saved together with the sale below
+        if (itemDiscount > 0) {
+          listing.discountStats = listing.discountStats || {};
+          listing.discountStats.timesDiscountApplied = (listing.discountStats.timesDiscountApplied || 0) + 1;
+          listing.discountStats.totalDiscountValue = (listing.discountStats.totalDiscountValue || 0) + itemDiscount;
+          listing.discountStats.lastDiscountUsed = new Date();
+        }
+        await listing.markAsSold(buyer, round2(price - itemDiscount));
+      }
+
+      await User.updateOne({ _id: seller }, { $inc: { totalSales: listings.length } }, { session });
+      await User.updateOne({ _id: buyer }, { $inc: { totalPurchases: listings.length } }, { session });
+
+      const listingIds = listings.map(l => l._id);
+      await Conversation.updateMany(
+        { participants: { $all: [buyer, seller] }, listing: { $in: listingIds } },
+        { $set: { resultedInSale: true, salePrice: order.amounts.total, soldAt: new Date() } },
+        { session }
+      );
+
+      // Bought items leave the buyer's cart
+      await Cart.updateOne(
+        { user: buyer },
+        { $pull: { items: { listing: { $in: listingIds } } } },
+        { session }
+      );
+    });
+  } catch (err) {
+    // Lost a race with another confirm for the same intent
+    if (err.code === 11000) {
+      const winner = await Order.findOne({ paymentIntentId: pi.id });
+      if (winner) return { order: winner, created: false };
+    }
+    if (err.saleConflict) {
+      await refundUnfulfillable(pi, err.message);
+      err.message = `${err.message}. Your payment has been refunded.`;
+      err.refunded = true;
+    }
+    throw err;
+  } finally {
+    await session.endSession();
+  }
+
+  // Email is best-effort; the order exists either way and the invoice can be downloaded
+  sendInvoiceEmails(order._id).catch(err => {
+    console.error(`❌ Invoice email failed for order ${order.orderNumber}:`, err.message);
+  });
+
+  return { order, created: true };
+}
+
+module.exports = { createOrderFromPaymentIntent };
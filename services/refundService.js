@@ -0,0 +1,184 @@
+// services/refundService.js
+const stripe = require('../config/stripe');
+const Order = require('../models/Order');
+const Product = require('../models/Product');
+const User = require('../models/User');
+const PromotionCode = require('../models/PromotionCode');
+const httpError = require('../utils/httpError');
+const { reverseContribution, adjustContribution } = require('./contributionService');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/** Amount (dollars) that can still be refunded on an order */
+function refundableAmount(order) {
+  return round2(order.amounts.total - (order.amounts.refunded || 0));
+}
+
+/**
+ * Undo what confirming the payment did: promo usage, listing discount stats,
+ * buyer/seller counters, and cancel the order. The listings go back on sale
+ * only if they never left the seller (not shipped or delivered), unless the
+ * caller knows better (`opts.relist`).
+ * Does not save the order.
+ */
+async function applyCancellation(order, by, note, { relist = !order.shippedAt && !order.deliveredAt } = {}) {
+  if (order.promotion && order.promotion.promotionId) {
+    await PromotionCode.updateOne(
+      { _id: order.promotion.promotionId, timesUsed: { $gt: 0 } },
+      { $inc: { timesUsed: -1 } }
+    );
+  }
+
+  const items = order.items.length
+    ? order.items
+    : [{ listing: order.listing, discount: order.amounts.discount }];
+
+  for (const item of items) {
+    const listingUpdate = {};
+    if (item.discount > 0) {
+      listingUpdate.$inc = {
+        'discountStats.timesDiscountApplied': -1,
+        'discountStats.totalDiscountValue': -item.discount
+      };
+    }
+    if (relist) {
+      listingUpdate.$set = { status: 'available' };
+      listingUpdate.$unset = { soldTo: 1, soldPrice: 1, soldAt: 1 };
+    }
+    if (Object.keys(listingUpdate).length) {
+      await Product.updateOne({ _id: item.listing }, listingUpdate);
+    }
+  }
+
+  const count = items.length;
+  await User.updateOne({ _id: order.seller, totalSales: { $gte: count } }, { $inc: { totalSales: -count } });
+  await User.updateOne({ _id: order.buyer, totalPurchases: { $gte: count } }, { $inc: { totalPurchases: -count } });
+
+  if (order.status === 'completed') await reverseContribution(order);
+
+  if (order.payout.status !== 'released') order.payout.status = 'cancelled';
+  if (order.canTransitionTo('cancelled')) order.transition('cancelled', by, note);
+  return order;
+}
+
+/**
+ * Refund all or part of an order through Stripe and record it.
+ *
+ * Partial refunds come out of the seller's payout. If the payout was already
+ * released, the matching amount is reversed from the seller's transfer.
+ * A refund that brings the total refunded to the full charge cancels the order.
+ *
+ * @param {object} order
+ * @param {object} opts
+ * @param {number} [opts.amount] dollars; defaults to everything still refundable
+ * @param {string} opts.reason
+ * @param {string} opts.by      user id of the actor
+ * @param {string} opts.role    'seller' | 'admin' | 'buyer'
+ */
+async function refundOrder(order, { amount, reason, by, role }) {
+  if (order.status === 'cancelled') {
+    throw httpError(400, 'Order is already cancelled');
+  }
+
+  const remaining = refundableAmount(order);
+  const refundAmount = amount === undefined ? remaining : round2(Number(amount));
+  if (!refundAmount || refundAmount <= 0) {
+    throw httpError(400, 'Refund amount must be a positive number');
+  }
+  if (refundAmount > remaining) {
+    throw httpError(400, `Refund cannot exceed the remaining $${remaining}`);
+  }
+
+  // Keyed on the refund's index so a retry after a failed save repeats neither call
+  const refundIndex = order.refunds.length;
+  const refund = await stripe.refunds.create({
+    payment_intent: order.paymentIntentId,
+    amount: Math.round(refundAmount * 100),
+    metadata: { orderId: String(order._id), reason: reason || '', role }
+  }, {
+    idempotencyKey: `order-refund-${order._id}-${refundIndex}`
+  });
+
+  if (order.payout.status === 'released' && order.payout.transferId) {
+    await stripe.transfers.createReversal(order.payout.transferId, {
+      amount: Math.round(Math.min(refundAmount, order.payout.amount) * 100)
+    }, {
+      idempotencyKey: `order-refund-reversal-${order._id}-${refundIndex}`
+    });
+  }
+
+  order.refunds.push({
+    stripeRefundId: refund.id,
+    amount: refundAmount,
+    reason,
+    by,
+    role
+  });
+  order.amounts.refunded = round2((order.amounts.refunded || 0) + refundAmount);
+  order.payout.amount = Math.max(0, round2(order.payout.amount - refundAmount));
+
+  if (refundableAmount(order) <= 0) {
+    await applyCancellation(order, by, reason || 'Fully refunded');
+  }
+  await order.save();
+
+  // A partial refund shrinks the 1% for Climbing share of a completed sale
+  if (order.status !== 'cancelled') {
+    try {
+      await adjustContribution(order);
+    } catch (err) {
+      console.error(`❌ Contribution not adjusted for order ${order.orderNumber}:`, err.message);
+    }
+  }
+  return order;
+}
+
+// Every refund on a charge. Webhook payloads don't expand charge.refunds, so
+// fall back to listing them.
+async function chargeRefunds(charge) {
+  if (charge.refunds && Array.isArray(charge.refunds.data) && !charge.refunds.has_more) {
+    return charge.refunds.data;
+  }
+  return stripe.refunds.list({ charge: charge.id, limit: 100 }).autoPagingToArray({ limit: 1000 });
+}
+
+/**
+ * Record refunds made outside this API (e.g. in the Stripe dashboard) from a
+ * charge.refunded webhook, matched by Stripe refund id. Refunds refundOrder
+ * created carry the order id in their metadata and are left for it to record,
+ * so a webhook arriving before refundOrder saves can't count them twice.
+ */
+async function syncRefundsFromCharge(charge) {
+  const order = await Order.findOne({ paymentIntentId: charge.payment_intent });
+  if (!order) return null;
+
+  const recorded = new Set(order.refunds.map(r => r.stripeRefundId).filter(Boolean));
+  const stripeTotal = charge.amount_refunded / 100;
+
+  for (const refund of await chargeRefunds(charge)) {
+    if (recorded.has(refund.id) || ['failed', 'canceled'].includes(refund.status)) continue;
+    if (refund.metadata && refund.metadata.orderId === String(order._id)) continue;
+    // Entries recorded before refunds carried ids already cover what Stripe reports
+    if ((order.amounts.refunded || 0) >= stripeTotal) break;
+
+    const amount = refund.amount / 100;
+    order.refunds.push({
+      stripeRefundId: refund.id,
+      amount,
+      reason: 'Refunded in Stripe',
+      role: 'system',
+      createdAt: new Date(refund.created * 1000)
+    });
+    order.amounts.refunded = round2((order.amounts.refunded || 0) + amount);
+    order.payout.amount = Math.max(0, round2(order.payout.amount - amount));
+  }
+
+  if (refundableAmount(order) <= 0 && order.status !== 'cancelled') {
+    await applyCancellation(order, null, 'Fully refunded in Stripe');
+  }
+  await order.save();
+  if (order.status !== 'cancelled') await adjustContribution(order);
+  return order;
+}
+
+module.exports = { refundableAmount, applyCancellation, refundOrder, syncRefundsFromCharge };
@@ -0,0 +1,88 @@
+// services/reservationService.js
+const Offer = require('../models/Offer');
+const Product = require('../models/Product');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const { notifyOfferEvent } = require('./notificationService');
+
+// Post a message into the pair's conversation and bump the receiver's unread count
+async function notify(conversation, { sender, receiver, listing, message, offer }) {
+  const msg = await Message.create({
+    conversation: conversation._id,
+    sender,
+    receiver,
+    listing,
+    message,
+    isOffer: true,
+    offerDetails: {
+      offerId: offer._id,
+      amount: offer.offerAmount,
+      action: 'expired'
+    }
+  });
+  conversation.lastMessage = msg._id;
+  conversation.lastMessageAt = new Date();
+  await conversation.incrementUnread(receiver);
+}
+
+/**
+ * Put listings whose accepted-offer payment deadline has passed back on sale,
+ * expire the offer and tell both parties (cron entry point).
+ * Both writes are conditional on the state that was read, so a listing paid
+ * for in the meantime stays sold and its offer is left alone.
+ * @returns {Promise<number>} offers expired
+ */
+async function releaseExpiredReservations(now = new Date()) {
+  const listings = await Product.find({
+    status: 'pending',
+    'reservation.expiresAt': { $lt: now }
+  });
+
+  let expired = 0;
+  for (const listing of listings) {
+    const { buyer, offer: offerId } = listing.reservation;
+
+    const { modifiedCount } = await Product.updateOne(
+      { _id: listing._id, status: 'pending', 'reservation.offer': offerId, 'reservation.expiresAt': { $lt: now } },
+      { $set: { status: 'available' }, $unset: { reservation: 1 } }
+    );
+    if (!modifiedCount) continue;
+
+    // A bundle's listings share one offer; only the first release expires it
+    const offer = await Offer.findOneAndUpdate(
+      { _id: offerId, status: 'accepted' },
+      {
+        $set: { status: 'expired' },
+        $push: { history: { action: 'expired', timestamp: now } }
+      },
+      { new: true }
+    );
+    if (!offer) continue;
+    expired += 1;
+
+    const items = offer.isBundle ? `the ${offer.listings.length} items in your bundle` : `"${listing.title}"`;
+    const sellerItems = offer.isBundle ? `The ${offer.listings.length} bundled items are` : `"${listing.title}" is`;
+    const conversation = await Conversation.findOrCreate([buyer, listing.seller], listing._id);
+
+    await notify(conversation, {
+      sender: listing.seller,
+      receiver: buyer,
+      listing: listing._id,
+      offer,
+      message: `Payment for your accepted offer of $${offer.offerAmount} wasn't received in time, so ${items} ${offer.isBundle ? 'are' : 'is'} available again.`
+    });
+    await notify(conversation, {
+      sender: buyer,
+      receiver: listing.seller,
+      listing: listing._id,
+      offer,
+      message: `The buyer didn't pay for the accepted offer of $${offer.offerAmount} in time. ${sellerItems} back on sale.`
+    });
+    notifyOfferEvent(offer, 'expired', buyer);
+    notifyOfferEvent(offer, 'expired', listing.seller);
+  }
+
+  return expired;
+}
+
+module.exports = { releaseExpiredReservations };
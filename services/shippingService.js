@@ -0,0 +1,194 @@
+// services/shippingService.js
+// Shipping labels and tracking for paid orders, through a carrier adapter
+// (services/carriers). Every shipment update is posted into the buyer/seller
+// conversation as a system message.
+const Order = require('../models/Order');
+const User = require('../models/User');
+const Message = require('../models/Message');
+const Conversation = require('../models/Conversation');
+const httpError = require('../utils/httpError');
+const { getCarrier } = require('./carriers');
+const { markDelivered } = require('./escrowService');
+
+const TRACKING_MESSAGES = {
+  in_transit: 'Your package is on its way.',
+  out_for_delivery: 'Your package is out for delivery.',
+  delivered: 'The carrier reports your package as delivered.',
+  exception: 'The carrier reported a problem delivering your package.'
+};
+
+// Post a platform message into the order's conversation; both parties see it as unread
+async function postSystemMessage(order, message) {
+  const conversation = await Conversation.findOrCreate([order.buyer, order.seller], order.listing);
+  const msg = await Message.create({
+    conversation: conversation._id,
+    sender: order.seller,
+    receiver: order.buyer,
+    listing: order.listing,
+    message,
+    isSystem: true
+  });
+  conversation.lastMessage = msg._id;
+  conversation.lastMessageAt = new Date();
+  for (const id of [order.buyer, order.seller]) {
+    conversation.unreadCount.set(id.toString(), (conversation.unreadCount.get(id.toString()) || 0) + 1);
+  }
+  await conversation.save();
+  return msg;
+}
+
+// Ship-from (seller's default address) and ship-to (snapshot on the order)
+async function shipmentAddresses(order) {
+  if (order.shipping.method !== 'shipping') {
+    throw httpError(400, 'This order is for local pickup');
+  }
+  if (!order.shipping.address || !order.shipping.address.street1) {
+    throw httpError(400, 'Order has no shipping address');
+  }
+
+  const seller = await User.findById(order.seller).select('addresses');
+  const from = seller && seller.getDefaultAddress();
+  if (!from) throw httpError(400, 'Add a default address to ship from');
+
+  return { from, to: order.shipping.address };
+}
+
+/** Carrier rates for sending an order in a parcel of the given size */
+async function quoteShippingRates(order, parcel) {
+  const { from, to } = await shipmentAddresses(order);
+  const carrier = getCarrier();
+  const rates = await carrier.quoteRates({ from, to, parcel });
+  return { carrier: carrier.name, rates };
+}
+
+/**
+ * Record a shipment and move the order to shipped. Used for labels bought
+ * here and for tracking numbers the seller enters by hand.
+ */
+async function markShipped(order, by, { carrier, trackingNumber } = {}) {
+  if (order.shipping.method !== 'shipping') {
+    throw httpError(400, 'This order is for local pickup');
+  }
+
+  order.transition('shipped', by);
+  if (carrier) order.shipping.carrier = carrier;
+  if (trackingNumber) order.shipping.trackingNumber = trackingNumber;
+  await order.save();
+
+  await postSystemMessage(order, trackingNumber
+    ? `Order ${order.orderNumber} has shipped${carrier ? ` with ${carrier}` : ''}. Tracking number: ${trackingNumber}`
+    : `Order ${order.orderNumber} has shipped.`);
+  return order;
+}
+
+/** Buy a label for a quoted rate and mark the order shipped */
+async function purchaseShippingLabel(order, by, { parcel, rateId }) {
+  if (order.shipping.label && order.shipping.label.labelId) {
+    throw httpError(400, 'A label has already been purchased for this order');
+  }
+  if (!order.canTransitionTo('shipped')) {
+    throw httpError(400, `Cannot ship an order that is ${order.status}`);
+  }
+  if (!rateId) throw httpError(400, 'rateId is required');
+
+  const { from, to } = await shipmentAddresses(order);
+  const carrier = getCarrier();
+  const label = await carrier.purchaseLabel({ from, to, parcel, rateId, reference: order.orderNumber });
+
+  order.shipping.label = {
+    labelId: label.labelId,
+    service: label.service,
+    cost: label.amount,
+    url: label.labelUrl,
+    parcel,
+    purchasedAt: new Date()
+  };
+  order.shipping.trackingStatus = 'pre_transit';
+  return markShipped(order, by, { carrier: carrier.name, trackingNumber: label.trackingNumber });
+}
+
+/**
+ * Apply a carrier tracking update. New events are appended; a change of status
+ * is announced in the conversation, and 'delivered' starts the escrow window.
+ */
+async function applyTrackingUpdate(order, { status, events = [] }) {
+  const seen = new Set(order.shipping.trackingEvents.map(e => `${e.status}|${new Date(e.occurredAt).getTime()}`));
+  for (const event of events) {
+    const key = `${event.status}|${new Date(event.occurredAt).getTime()}`;
+    if (!seen.has(key)) {
+      order.shipping.trackingEvents.push(event);
+      seen.add(key);
+    }
+  }
+
+  const changed = status && status !== order.shipping.trackingStatus;
+  if (status) order.shipping.trackingStatus = status;
+  order.shipping.lastTrackedAt = new Date();
+
+  if (status === 'delivered' && order.canTransitionTo('delivered')) {
+    markDelivered(order, null, 'Delivered according to carrier tracking');
+  }
+  await order.save();
+
+  if (changed && TRACKING_MESSAGES[status]) {
+    await postSystemMessage(order, `Order ${order.orderNumber}: ${TRACKING_MESSAGES[status]}`);
+  }
+  return order;
+}
+
+/** Pull the latest tracking for one order from its carrier */
+async function refreshTracking(order) {
+  if (!order.shipping.trackingNumber || !order.shipping.carrier) {
+    throw httpError(400, 'Order has no tracking number');
+  }
+  const tracking = await getCarrier(order.shipping.carrier).getTracking(order.shipping.trackingNumber);
+  return applyTrackingUpdate(order, tracking);
+}
+
+/** Tracking webhook from a carrier: find the order by tracking number and apply it */
+async function handleCarrierWebhook(carrierName, req) {
+  const carrier = getCarrier(carrierName);
+  const update = await carrier.parseWebhook(req);
+
+  const order = await Order.findOne({
+    'shipping.carrier': carrier.name,
+    'shipping.trackingNumber': update.trackingNumber
+  });
+  if (!order) return null;
+  return applyTrackingUpdate(order, update);
+}
+
+/**
+ * Poll tracking for shipped orders with a purchased label (cron entry point).
+ * @returns {Promise<{ updated: number, failed: number }>}
+ */
+async function pollShipments() {
+  const orders = await Order.find({
+    status: 'shipped',
+    'shipping.label.labelId': { $exists: true }
+  });
+
+  let updated = 0;
+  let failed = 0;
+  for (const order of orders) {
+    try {
+      await refreshTracking(order);
+      updated += 1;
+    } catch (err) {
+      failed += 1;
+      console.error(`❌ Tracking refresh failed for order ${order.orderNumber}:`, err.message);
+    }
+  }
+  return { updated, failed };
+}
+
+module.exports = {
+  postSystemMessage,
+  quoteShippingRates,
+  markShipped,
+  purchaseShippingLabel,
+  applyTrackingUpdate,
+  refreshTracking,
+  handleCarrierWebhook,
+  pollShipments
+};
@@ -0,0 +1,39 @@
+// services/stripeConnect.js
+const stripe = require('../config/stripe');
+const marketplace = require('../config/marketplace');
+const User = require('../models/User');
+const httpError = require('../utils/httpError');
+
+/** Marketplace fee in cents for a charge of `amountInCents` */
+function applicationFeeFor(amountInCents) {
+  return Math.round(amountInCents * (marketplace.feePercent / 100));
+}
+
+/** Copy the onboarding flags from a Stripe account onto the user (not saved) */
+function applyAccountStatus(user, account) {
+  user.stripeAccountStatus = {
+    chargesEnabled: !!account.charges_enabled,
+    payoutsEnabled: !!account.payouts_enabled,
+    detailsSubmitted: !!account.details_submitted,
+    updatedAt: new Date()
+  };
+  return user;
+}
+
+/**
+ * Connected account id for a seller who can receive payouts.
+ * Throws a 400 with a buyer-facing message otherwise (including when the
+ * seller's account is suspended, e.g. after losing too many disputes).
+ */
+async function getPayoutAccount(sellerId) {
+  const seller = await User.findById(sellerId).select('stripeAccountId stripeAccountStatus status');
+  if (seller && seller.status !== 'active') {
+    throw httpError(400, 'This seller is not accepting orders right now');
+  }
+  if (!seller || !seller.stripeAccountId || !seller.stripeAccountStatus?.payoutsEnabled) {
+    throw httpError(400, 'This seller has not finished setting up payouts, so the listing cannot be purchased yet');
+  }
+  return seller.stripeAccountId;
+}
+
+module.exports = { applicationFeeFor, applyAccountStatus, getPayoutAccount };
@@ -0,0 +1,120 @@
+// services/stripeWebhooks.js
+const User = require('../models/User');
+const StripeEvent = require('../models/StripeEvent');
+const { createOrderFromPaymentIntent } = require('./orderService');
+const { applyAccountStatus } = require('./stripeConnect');
+const { syncRefundsFromCharge } = require('./refundService');
+const { openStripeDispute, closeStripeDispute } = require('./disputeService');
+
+// Each handler gets the Stripe event object and returns a short note for the log
+const handlers = {
+  'payment_intent.succeeded': async (event) => {
+    const pi = event.data.object;
+    if (!pi.metadata || !pi.metadata.listingId) return 'Not a listing payment';
+
+    let result;
+    try {
+      result = await createOrderFromPaymentIntent(pi);
+    } catch (err) {
+      // Someone else got the listing; the payment was refunded, nothing to retry
+      if (err.refunded) return `Refunded ${pi.id}: ${err.message}`;
+      throw err;
+    }
+    const { order, created } = result;
+    return created ? `Created order ${order.orderNumber}` : `Order ${order.orderNumber} already exists`;
+  },
+
+  'payment_intent.payment_failed': async (event) => {
+    const pi = event.data.object;
+    const reason = pi.last_payment_error ? pi.last_payment_error.message : 'unknown reason';
+    console.warn(`⚠️ Payment failed for ${pi.id}: ${reason}`);
+    return `Payment failed: ${reason}`;
+  },
+
+  'charge.refunded': async (event) => {
+    const charge = event.data.object;
+    const order = await syncRefundsFromCharge(charge);
+    if (!order) return `No order for ${charge.payment_intent}`;
+    return `Order ${order.orderNumber} refunded $${order.amounts.refunded}`;
+  },
+
+  'charge.dispute.created': async (event) => {
+    const dispute = await openStripeDispute(event.data.object);
+    if (!dispute) return `No order for ${event.data.object.payment_intent}`;
+    return `Dispute ${event.data.object.id} recorded (${dispute._id})`;
+  },
+
+  'charge.dispute.closed': async (event) => {
+    const dispute = await closeStripeDispute(event.data.object);
+    if (!dispute) return `No dispute for ${event.data.object.id}`;
+    return `Dispute ${event.data.object.id} closed as ${event.data.object.status}`;
+  },
+
+  // Connect: keep seller payout status in sync without waiting for a status refresh
+  'account.updated': async (event) => {
+    const account = event.data.object;
+    const user = await User.findOne({ stripeAccountId: account.id });
+    if (!user) return `No user for account ${account.id}`;
+
+    applyAccountStatus(user, account);
+    await user.save();
+    return `Account ${account.id} payouts ${user.stripeAccountStatus.payoutsEnabled ? 'enabled' : 'disabled'}`;
+  }
+};
+
+/**
+ * Run the handler for a stored event and record the outcome on it.
+ * Unknown event types are marked 'ignored'. Handler errors are recorded
+ * and re-thrown so the webhook can answer 500 and Stripe retries.
+ */
+async function processStoredEvent(stored) {
+  const handler = handlers[stored.type];
+  stored.attempts += 1;
+
+  if (!handler) {
+    stored.status = 'ignored';
+    stored.processedAt = new Date();
+    return stored.save();
+  }
+
+  try {
+    stored.result = await handler(stored.payload);
+    stored.status = 'processed';
+    stored.lastError = undefined;
+    stored.processedAt = new Date();
+    return await stored.save();
+  } catch (err) {
+    stored.status = 'failed';
+    stored.lastError = err.message;
+    await stored.save();
+    throw err;
+  }
+}
+
+/**
+ * Store a verified event (once per Stripe event id) and process it.
+ * Events that were already processed are not run again.
+ * @returns {Promise<{ event: object, duplicate: boolean }>}
+ */
+async function recordAndProcess(event) {
+  const stored = await StripeEvent.findOneAndUpdate(
+    { eventId: event.id },
+    {
+      $setOnInsert: {
+        eventId: event.id,
+        type: event.type,
+        livemode: event.livemode,
+        payload: event
+      }
+    },
+    { upsert: true, new: true }
+  );
+
+  if (['processed', 'ignored'].includes(stored.status)) {
+    return { event: stored, duplicate: true };
+  }
+
+  return { event: await processStoredEvent(stored), duplicate: false };
+}
+
+module.exports = { recordAndProcess, processStoredEvent };
@@ -0,0 +1,61 @@
+// services/taxService.js
+// Sales tax for checkout, from the rate table in config/taxRates.js.
+// Shipped orders are taxed where they are delivered (the buyer's shipping
+// address); local pickups where the seller is (the listing's location).
+const taxRates = require('../config/taxRates');
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const STATE_NAMES = {
+  ARIZONA: 'AZ', CALIFORNIA: 'CA', COLORADO: 'CO', IDAHO: 'ID', 'NEW MEXICO': 'NM',
+  NEVADA: 'NV', 'NEW YORK': 'NY', OREGON: 'OR', TENNESSEE: 'TN', TEXAS: 'TX',
+  UTAH: 'UT', WASHINGTON: 'WA', WYOMING: 'WY'
+};
+
+/** Two-letter state code from a code or full state name, or null */
+function normalizeState(value) {
+  if (!value) return null;
+  const upper = String(value).trim().toUpperCase();
+  if (/^[A-Z]{2}$/.test(upper)) return upper;
+  return STATE_NAMES[upper] || null;
+}
+
+/** State code from a free-text listing location such as "Boulder, CO 80302" */
+function stateFromLocation(location) {
+  if (!location) return null;
+  const parts = String(location).split(',').map(p => p.trim()).filter(Boolean);
+  const last = (parts[parts.length - 1] || '').replace(/\s*\d{5}(-\d{4})?$/, '');
+  return normalizeState(last);
+}
+
+/**
+ * Sales tax on one seller's checkout.
+ *
+ * @param {object} opts
+ * @param {'shipping'|'pickup'} opts.shippingMethod
+ * @param {object} [opts.shippingAddress] address snapshot (shipping only)
+ * @param {object} opts.listing          any listing in the checkout (for pickup location)
+ * @param {number} opts.subtotal         item total after discounts, dollars
+ * @param {number} [opts.shipping]       shipping charge, dollars
+ * @returns {{ amount: number, rate: number, jurisdiction: string|null, taxableAmount: number }}
+ */
+function calculateTax({ shippingMethod, shippingAddress, listing, subtotal, shipping = 0 }) {
+  const jurisdiction = shippingMethod === 'shipping'
+    ? normalizeState(shippingAddress && shippingAddress.state)
+    : stateFromLocation(listing.location);
+
+  const entry = jurisdiction && taxRates[jurisdiction];
+  if (!entry || !entry.rate) {
+    return { amount: 0, rate: 0, jurisdiction, taxableAmount: 0 };
+  }
+
+  const taxableAmount = round2(subtotal + (entry.shipping ? shipping : 0));
+  return {
+    amount: round2(taxableAmount * (entry.rate / 100)),
+    rate: entry.rate,
+    jurisdiction,
+    taxableAmount
+  };
+}
+
+module.exports = { normalizeState, stateFromLocation, calculateTax };
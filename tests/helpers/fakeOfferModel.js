@@ -0,0 +1,101 @@
+// tests/helpers/fakeOfferModel.js
+// In-memory stand-in for the Offer model, for code that only reads offers
+// with find() and changes them with conditional updateOne/findOneAndUpdate.
+// Documents are real Offer documents (schema defaults, methods, virtuals),
+// and each query hands out fresh copies the way a database would.
+//
+// Usage: jest.mock('../models/Offer', () => require('./helpers/fakeOfferModel')());
+const Offer = jest.requireActual('../../models/Offer');
+
+const get = (doc, path) => doc.get(path);
+
+function same(a, b) {
+  if (a instanceof Date || b instanceof Date) return +a === +b;
+  return String(a) === String(b);
+}
+
+function matchesCondition(value, cond) {
+  const isOperator = cond && typeof cond === 'object' && !(cond instanceof Date) &&
+    Object.keys(cond).some(k => k.startsWith('$'));
+  if (!isOperator) return same(value, cond);
+
+  return Object.entries(cond).every(([op, arg]) => {
+    switch (op) {
+      case '$in': return arg.some(a => same(value, a));
+      case '$ne': return value === undefined || value === null || !same(value, arg);
+      case '$gt': return value > arg;
+      case '$gte': return value >= arg;
+      case '$lt': return value < arg;
+      case '$lte': return value <= arg;
+      default: throw new Error(`fakeOfferModel: unsupported operator ${op}`);
+    }
+  });
+}
+
+function matches(doc, query) {
+  return Object.entries(query).every(([key, cond]) => {
+    if (key === '$and') return cond.every(q => matches(doc, q));
+    if (key === '$or') return cond.some(q => matches(doc, q));
+    if (key === '$expr') {
+      // Only { $ne: ['$a', '$b'] } is needed so far
+      const [a, b] = cond.$ne.map(ref => get(doc, ref.slice(1)));
+      return a === undefined || !same(a, b);
+    }
+    return matchesCondition(get(doc, key), cond);
+  });
+}
+
+function applyUpdate(doc, update) {
+  for (const [path, value] of Object.entries(update.$set || {})) doc.set(path, value);
+  for (const path of Object.keys(update.$unset || {})) doc.set(path, undefined);
+  for (const [path, value] of Object.entries(update.$push || {})) doc.get(path).push(value);
+}
+
+// Thenable query supporting the chain calls routes and services make
+function query(result) {
+  const q = {
+    populate: () => q,
+    sort: () => q,
+    select: () => q,
+    then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+  };
+  return q;
+}
+
+module.exports = function fakeOfferModel() {
+  const docs = [];
+  const copy = (doc) => Offer.hydrate(doc.toObject());
+
+  return {
+    /** Store an offer (schema defaults applied) and return the stored document */
+    add(fields) {
+      const doc = new Offer(fields);
+      docs.push(doc);
+      return doc;
+    },
+    /** Stored document by id, for assertions */
+    stored(id) {
+      return docs.find(d => same(d._id, id));
+    },
+    clear() {
+      docs.length = 0;
+    },
+
+    find: jest.fn((filter = {}) => query(() => docs.filter(d => matches(d, filter)).map(copy))),
+
+    updateOne: jest.fn(async (filter, update) => {
+      const doc = docs.find(d => matches(d, filter));
+      if (!doc) return { matchedCount: 0, modifiedCount: 0 };
+      applyUpdate(doc, update);
+      return { matchedCount: 1, modifiedCount: 1 };
+    }),
+
+    findOneAndUpdate: jest.fn(async (filter, update, { new: returnNew } = {}) => {
+      const doc = docs.find(d => matches(d, filter));
+      if (!doc) return null;
+      const before = copy(doc);
+      applyUpdate(doc, update);
+      return returnNew ? copy(doc) : before;
+    })
+  };
+};
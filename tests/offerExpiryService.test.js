@@ -0,0 +1,158 @@
+// tests/offerExpiryService.test.js
+// Offer round deadlines with a controllable clock: every call gets an explicit
+// `now`, so an offer can be walked through its round without waiting.
+const mongoose = require('mongoose');
+
+jest.mock('../models/Offer', () => require('./helpers/fakeOfferModel')());
+jest.mock('../services/offerService', () => ({ postOfferMessage: jest.fn().mockResolvedValue(null) }));
+jest.mock('../services/notificationService', () => ({ notifyOfferEvent: jest.fn() }));
+
+const Offer = require('../models/Offer');
+const { postOfferMessage } = require('../services/offerService');
+const { notifyOfferEvent } = require('../services/notificationService');
+const {
+  sendExpiryReminders,
+  expireOffers,
+  processOfferExpiry
+} = require('../services/offerExpiryService');
+
+const HOUR_MS = 60 * 60 * 1000;
+// Round 1 opens at T0 and runs for the default 48 hours; reminders go out 12 hours before
+const T0 = new Date('2026-03-02T09:00:00Z');
+const at = (hours) => new Date(T0.getTime() + hours * HOUR_MS);
+
+const buyer = new mongoose.Types.ObjectId();
+const seller = new mongoose.Types.ObjectId();
+
+function addOffer(fields = {}) {
+  return Offer.add({
+    listing: new mongoose.Types.ObjectId(),
+    buyer,
+    seller,
+    offerAmount: 80,
+    originalPrice: 100,
+    expiresAt: at(48),
+    createdAt: T0,
+    ...fields
+  });
+}
+
+// Put an offer into round 2: the seller countered at `hours`
+function counter(offer, hours, amount = 90) {
+  offer.set({
+    status: 'countered',
+    round: 2,
+    counterOffer: { amount, timestamp: at(hours) },
+    expiresAt: at(hours + 48)
+  });
+}
+
+beforeEach(() => {
+  Offer.clear();
+  jest.clearAllMocks();
+});
+
+describe('expireOffers', () => {
+  test('expires a pending offer once its deadline passes and tells the buyer', async () => {
+    const offer = addOffer();
+
+    expect(await expireOffers(at(47))).toBe(0);
+    expect(Offer.stored(offer._id).status).toBe('pending');
+
+    expect(await expireOffers(at(49))).toBe(1);
+    const stored = Offer.stored(offer._id);
+    expect(stored.status).toBe('expired');
+    expect(stored.history.map(h => h.action)).toContain('expired');
+
+    expect(postOfferMessage).toHaveBeenCalledTimes(1);
+    expect(postOfferMessage.mock.calls[0][1]).toMatchObject({ receiver: buyer, action: 'expired' });
+    expect(notifyOfferEvent).toHaveBeenCalledWith(expect.anything(), 'expired', buyer, { now: at(49) });
+    expect(notifyOfferEvent).toHaveBeenCalledWith(expect.anything(), 'expired', seller, { now: at(49) });
+  });
+
+  test('expires a countered offer on the counter deadline and tells the seller', async () => {
+    const offer = addOffer();
+    counter(offer, 10);
+
+    // The opening round's deadline no longer applies
+    expect(await expireOffers(at(49))).toBe(0);
+
+    expect(await expireOffers(at(59))).toBe(1);
+    expect(Offer.stored(offer._id).status).toBe('expired');
+    expect(postOfferMessage.mock.calls[0][1]).toMatchObject({ receiver: seller, amount: 90, action: 'expired' });
+  });
+
+  test('leaves an offer alone when it was answered after being read', async () => {
+    const offer = addOffer();
+    const find = Offer.find.getMockImplementation();
+    Offer.find.mockImplementationOnce((filter) => {
+      const result = find(filter);
+      // The seller accepts between the read and the conditional update
+      Offer.stored(offer._id).status = 'accepted';
+      return result;
+    });
+
+    expect(await expireOffers(at(49))).toBe(0);
+    expect(Offer.stored(offer._id).status).toBe('accepted');
+    expect(postOfferMessage).not.toHaveBeenCalled();
+    expect(notifyOfferEvent).not.toHaveBeenCalled();
+  });
+
+  test('does not touch offers that are no longer open', async () => {
+    addOffer({ status: 'accepted' });
+    addOffer({ status: 'declined' });
+
+    expect(await expireOffers(at(100))).toBe(0);
+    expect(Offer.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendExpiryReminders', () => {
+  test('reminds the seller once per round', async () => {
+    const offer = addOffer();
+
+    expect(await sendExpiryReminders(at(30))).toBe(0);
+    expect(await sendExpiryReminders(at(37))).toBe(1);
+    expect(await sendExpiryReminders(at(37))).toBe(0);
+    expect(await sendExpiryReminders(at(45))).toBe(0);
+
+    expect(postOfferMessage).toHaveBeenCalledTimes(1);
+    expect(postOfferMessage.mock.calls[0][1]).toMatchObject({ receiver: seller, action: 'reminder' });
+    expect(Offer.stored(offer._id).reminderRound).toBe(1);
+  });
+
+  test('reminds the buyer again in the next round', async () => {
+    const offer = addOffer();
+    expect(await sendExpiryReminders(at(37))).toBe(1);
+
+    counter(offer, 40);
+    expect(await sendExpiryReminders(at(41))).toBe(0);
+    expect(await sendExpiryReminders(at(77))).toBe(1);
+    expect(await sendExpiryReminders(at(80))).toBe(0);
+
+    expect(postOfferMessage).toHaveBeenCalledTimes(2);
+    expect(postOfferMessage.mock.calls[1][1]).toMatchObject({ receiver: buyer, amount: 90, action: 'reminder' });
+    expect(Offer.stored(offer._id).reminderRound).toBe(2);
+  });
+
+  test('skips rounds no longer than the reminder window', async () => {
+    addOffer({ rules: { expiryHours: 6 }, expiresAt: at(6) });
+
+    expect(await sendExpiryReminders(at(1))).toBe(0);
+    expect(postOfferMessage).not.toHaveBeenCalled();
+  });
+});
+
+describe('processOfferExpiry', () => {
+  test('walks an offer from reminder to expiry as the clock moves', async () => {
+    const offer = addOffer();
+
+    expect(await processOfferExpiry(at(1))).toEqual({ reminded: 0, expired: 0 });
+    expect(await processOfferExpiry(at(37))).toEqual({ reminded: 1, expired: 0 });
+    expect(await processOfferExpiry(at(40))).toEqual({ reminded: 0, expired: 0 });
+    expect(await processOfferExpiry(at(49))).toEqual({ reminded: 0, expired: 1 });
+    expect(await processOfferExpiry(at(60))).toEqual({ reminded: 0, expired: 0 });
+
+    expect(Offer.stored(offer._id).status).toBe('expired');
+  });
+});
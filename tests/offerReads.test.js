@@ -0,0 +1,86 @@
+// tests/offerReads.test.js
+// GET /api/offers/received and /sent report overdue offers as expired
+// without writing anything; only the expiry job changes offer state.
+process.env.STRIPE_SECRET_KEY = process.env.STRIPE_SECRET_KEY || 'sk_test_offer_reads';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'offer-reads-secret';
+
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const request = require('supertest');
+
+jest.mock('../models/Offer', () => require('./helpers/fakeOfferModel')());
+
+const Offer = require('../models/Offer');
+const offerRoutes = require('../routes/offers');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const buyer = new mongoose.Types.ObjectId();
+const seller = new mongoose.Types.ObjectId();
+const tokenFor = (id) => `Bearer ${jwt.sign({ id: String(id) }, process.env.JWT_SECRET)}`;
+
+const app = express();
+app.use(express.json());
+app.use('/api/offers', offerRoutes);
+
+let overdue;
+let open;
+let save;
+
+beforeEach(() => {
+  Offer.clear();
+  jest.clearAllMocks();
+
+  const base = { buyer, seller, offerAmount: 80, originalPrice: 100 };
+  overdue = Offer.add({ ...base, listing: new mongoose.Types.ObjectId(), expiresAt: new Date(Date.now() - HOUR_MS) });
+  open = Offer.add({ ...base, listing: new mongoose.Types.ObjectId(), expiresAt: new Date(Date.now() + HOUR_MS) });
+
+  // Offer documents are real mongoose documents; a save must not reach a database
+  save = jest.spyOn(jest.requireActual('../models/Offer').prototype, 'save').mockResolvedValue(undefined);
+});
+
+afterEach(() => {
+  save.mockRestore();
+});
+
+function expectNoWrites() {
+  expect(Offer.updateOne).not.toHaveBeenCalled();
+  expect(Offer.findOneAndUpdate).not.toHaveBeenCalled();
+  expect(save).not.toHaveBeenCalled();
+  expect(Offer.stored(overdue._id).status).toBe('pending');
+}
+
+const statusOf = (offers, doc) => offers.find(o => String(o._id) === String(doc._id)).status;
+
+describe('GET /api/offers/received', () => {
+  test('shows an overdue offer as expired without saving it', async () => {
+    const res = await request(app).get('/api/offers/received').set('Authorization', tokenFor(seller));
+
+    expect(res.status).toBe(200);
+    expect(statusOf(res.body.offers, overdue)).toBe('expired');
+    expect(statusOf(res.body.offers, open)).toBe('pending');
+    expect(res.body.stats).toMatchObject({ pending: 1, expired: 1 });
+    expectNoWrites();
+  });
+
+  test('filters by effective status', async () => {
+    const expired = await request(app).get('/api/offers/received?status=expired').set('Authorization', tokenFor(seller));
+    const pending = await request(app).get('/api/offers/received?status=pending').set('Authorization', tokenFor(seller));
+
+    expect(expired.body.offers.map(o => String(o._id))).toEqual([String(overdue._id)]);
+    expect(pending.body.offers.map(o => String(o._id))).toEqual([String(open._id)]);
+    expectNoWrites();
+  });
+});
+
+describe('GET /api/offers/sent', () => {
+  test('shows an overdue offer as expired without saving it', async () => {
+    const res = await request(app).get('/api/offers/sent').set('Authorization', tokenFor(buyer));
+
+    expect(res.status).toBe(200);
+    expect(statusOf(res.body.offers, overdue)).toBe('expired');
+    expect(statusOf(res.body.offers, open)).toBe('pending');
+    expectNoWrites();
+  });
+});
@@ -0,0 +1,10 @@
+// utils/httpError.js
+// Error with an HTTP status attached; routes (and the central handler in
+// server.js) read err.status when turning it into a response.
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+module.exports = httpError;